@@ -2,8 +2,18 @@ import './components/album-card.js';
 import './components/ring-carousel.js';
 import './components/album-detail.js';
 import './components/player-bar.js';
-import { openMusicFolder, processPickedFiles, rescanFolder } from './utils/file-loader.js';
-import { saveLibrary, loadLibrary, saveHandle, loadHandle } from './utils/db.js';
+import './components/settings-panel.js';
+import './components/eq-panel.js';
+import './components/spectrum-visualizer.js';
+import { openMusicFolder, processPickedFiles, rescanFolder, scanEvents } from './utils/file-loader.js';
+import {
+  saveLibrary, loadLibrary, saveHandle, loadHandle,
+  saveSetting, loadSettings, loadAlbumSettings, saveAlbumSetting,
+  savePlaybackState, loadPlaybackState,
+  loadBookmarks, addBookmark, deleteBookmark, markTrackFailed,
+} from './utils/db.js';
+import { FLAT } from './utils/eq-presets.js';
+import { FAILURE_MESSAGES } from './utils/failures.js';
 import * as player from './utils/player.js';
 
 // Seeded RNG for reproducible track names
@@ -42,7 +52,13 @@ const musicInput = document.getElementById('music-input');
 const rescanBtn = document.querySelector('.rescan-btn');
 const installBtn = document.querySelector('.install-btn');
 const authBanner = document.querySelector('.auth-banner');
+const scanStatus = document.querySelector('.scan-status');
+const scanText = scanStatus.querySelector('.scan-status__text');
 const playerBar = document.querySelector('player-bar');
+const settingsBtn = document.querySelector('.settings-btn');
+const settingsPanel = document.querySelector('settings-panel');
+const eqPanel = document.querySelector('eq-panel');
+const visualizer = document.querySelector('spectrum-visualizer');
 const hasNativePicker = !!window.showDirectoryPicker;
 
 // State
@@ -52,6 +68,27 @@ let storedHandle = null;
 let hasRealLibrary = false;
 let needsAuthBanner = false;
 
+// Playback settings — defaults, overridden by whatever is stored in Dexie
+const DEFAULT_SETTINGS = {
+  gapless: true,
+  crossfade: 0,
+  replayGain: 'track',
+  eq: { preamp: FLAT.preamp, bands: FLAT.bands, preset: FLAT.name },
+  eqPresets: [],
+  mono: false,
+  balance: 0,
+  visualizer: true,
+};
+
+// Equalizer — the global curve, unless the playing album has its own
+let globalEq = DEFAULT_SETTINGS.eq;
+let albumEq = null;
+let userPresets = [];
+
+// Album whose per-album settings (EQ override, speed) are currently loaded
+let overridesAlbum = null;
+
+let toastTimer = null;
 function showToast(message) {
   const toast = document.querySelector('.pwa-toast');
   const span = toast.querySelector('span');
@@ -59,7 +96,8 @@ function showToast(message) {
   span.textContent = message;
   btn.style.display = 'none';
   toast.classList.remove('hidden');
-  setTimeout(() => {
+  clearTimeout(toastTimer); // a newer message gets its full time on screen
+  toastTimer = setTimeout(() => {
     toast.classList.add('hidden');
     span.textContent = 'App updated';
     btn.style.display = '';
@@ -76,6 +114,7 @@ function populateCarousel(newAlbums) {
     expanded = null;
   }
 
+  const selected = albums[carousel.selectedIndex];
   albums = newAlbums;
   carousel.setAlbums(albums);
 
@@ -84,6 +123,20 @@ function populateCarousel(newAlbums) {
     hTitle.textContent = albums[0].title;
     hSub.textContent = albums[0].artist;
   }
+
+  // A streaming scan hands back the same album objects — keep the one in front
+  const index = albums.indexOf(selected);
+  if (index > 0) carousel.goTo(index, false);
+
+  // A rescan builds new album objects — the queue (restored or playing) moves
+  // over to them so `album === …` checks against the library keep matching
+  const playing = player.getState().album;
+  player.adoptLibrary(albums);
+  const adopted = player.getState().album;
+  if (adopted && adopted !== playing) {
+    if (overridesAlbum === playing) overridesAlbum = adopted;
+    visualizer.setPalette(carousel.getPalette(albums.indexOf(adopted)));
+  }
 }
 
 // Header updates on selection change
@@ -117,6 +170,7 @@ function expand(i) {
   carousel.setAttribute('dimmed', '');
   header.classList.add('hidden');
   folderBtn.classList.add('hidden');
+  settingsBtn.classList.add('hidden');
   rescanBtn.classList.add('hidden');
   installBtn.classList.add('hidden');
   authBanner.classList.add('hidden');
@@ -138,6 +192,7 @@ function collapse() {
     carousel.removeAttribute('dimmed');
     header.classList.remove('hidden');
     folderBtn.classList.remove('hidden');
+    settingsBtn.classList.remove('hidden');
     if (storedHandle) rescanBtn.classList.remove('hidden');
     if (window._deferredInstallPrompt) installBtn.classList.remove('hidden');
     if (needsAuthBanner) authBanner.classList.remove('hidden');
@@ -155,60 +210,435 @@ detail.addEventListener('detail-close', collapse);
 // --- Track play events from album-detail ---
 detail.addEventListener('track-play', async (e) => {
   const { album, trackIndex } = e.detail;
-
-  // If fileMap is empty, try to get files back (we're inside a user gesture)
-  if (!player.hasFiles()) {
-    if (storedHandle) {
-      // Desktop: re-request permission on the stored handle
-      try {
-        const perm = await storedHandle.requestPermission({ mode: 'read' });
-        if (perm === 'granted') {
-          needsAuthBanner = false;
-          authBanner.classList.add('hidden');
-          await doRescan(storedHandle);
-        } else {
-          return;
-        }
-      } catch (err) {
-        console.warn('[app] Permission request failed:', err);
-        return;
-      }
-    } else if (hasRealLibrary) {
-      // Mobile: no stored handle — trigger the native file input
-      // (we're in a user gesture from the track click)
-      musicInput.click();
-      return; // the change handler will process the files
-    }
-  }
+  if (!await ensureFiles()) return;
 
   player.loadAlbum(album, trackIndex);
   detail.setPlayingTrack(trackIndex);
 });
 
+// Chapter rows — seek within the playing file, or start it at the chapter
+detail.addEventListener('chapter-play', async (e) => {
+  const { album, trackIndex, time } = e.detail;
+  if (!await ensureFiles()) return;
+
+  const state = player.getState();
+  if (state.album === album && state.trackIndex === trackIndex) {
+    player.seekTo(time);
+    if (!state.playing) player.play();
+  } else {
+    player.loadAlbum(album, trackIndex, time);
+    detail.setPlayingTrack(trackIndex);
+  }
+});
+
+// --- Queue actions from album-detail tracks and carousel albums ---
+detail.addEventListener('track-queue', (e) => {
+  const { album, trackIndex, mode } = e.detail;
+  enqueue(album, trackIndex, mode);
+});
+
+carousel.addEventListener('album-queue', (e) => {
+  const { index, mode } = e.detail;
+  if (albums[index]) enqueue(albums[index], undefined, mode);
+});
+
+async function enqueue(album, trackIndex, mode) {
+  if (!await ensureFiles()) return;
+
+  if (mode === 'next') player.playNext(album, trackIndex);
+  else player.addToQueue(album, trackIndex);
+
+  const what = trackIndex === undefined ? album.title : album.tracks[trackIndex].title;
+  showToast(mode === 'next' ? `Playing next: ${what}` : `Added to queue: ${what}`);
+}
+
+/**
+ * Make sure the player has File objects to play from.
+ * Must be called inside a user gesture — it may prompt for permission
+ * or open the native file input.
+ * @returns {Promise<boolean>} true if playback can proceed now
+ */
+async function ensureFiles() {
+  if (player.hasFiles()) return true;
+
+  if (storedHandle) {
+    // Desktop: re-request permission on the stored handle
+    try {
+      const perm = await storedHandle.requestPermission({ mode: 'read' });
+      if (perm !== 'granted') return false;
+      needsAuthBanner = false;
+      authBanner.classList.add('hidden');
+      await doRescan(storedHandle);
+    } catch (err) {
+      console.warn('[app] Permission request failed:', err);
+      return false;
+    }
+  } else if (hasRealLibrary) {
+    // Mobile: no stored handle — trigger the native file input
+    // (we're in a user gesture from the click)
+    musicInput.click();
+    return false; // the change handler will process the files
+  }
+
+  return true;
+}
+
+// Lock-screen controls get the same chance to bring the files back
+player.setFilesGuard(ensureFiles);
+
 // --- Player events → player bar ---
 player.events.addEventListener('track-change', (e) => {
   const { album, track, index } = e.detail;
-  playerBar.setTrack(track.title, album.artist);
+  playerBar.setTrack(track.title, track.artist || album.artist);
 
   // Update highlight in album-detail if it's showing the same album
-  if (detail._album === album) {
-    detail.setPlayingTrack(index);
+  detail.setPlayingTrack(detail._album === album ? index : -1);
+
+  detail.setPlayingChapter(-1, -1);
+  loadAlbumOverrides(album);
+  showBookmarks(track);
+  visualizer.setPalette(carousel.getPalette(albums.indexOf(album)));
+});
+
+player.events.addEventListener('chapter-change', (e) => {
+  const { album, trackIndex } = player.getState();
+  detail.setPlayingChapter(detail._album === album ? trackIndex : -1, e.detail.index);
+});
+
+// Covers extract their palette lazily — pick it up if it arrives late
+carousel.addEventListener('palette-ready', (e) => {
+  const playing = player.getState().album;
+  if (playing && albums[e.detail.index] === playing) visualizer.setPalette(e.detail.palette);
+});
+
+// Unplayable track — flag it until the next rescan and say why it was skipped
+player.events.addEventListener('track-error', (e) => {
+  const { album, track, index, reason, gaveUp } = e.detail;
+  track.failed = reason;
+  if (track.path) {
+    markTrackFailed(track.path, reason).catch(err => console.warn('[app] Failed-flag save failed:', err));
   }
+  if (detail._album === album) detail.setTrackFailed(index, reason);
+
+  showToast(gaveUp
+    ? `Stopped — ${player.MAX_FAILURES} tracks in a row couldn't be played`
+    : `Skipped "${track.title}" — ${FAILURE_MESSAGES[reason] || reason}`);
+});
+
+// A restored session asked to play before the files are back — nothing is
+// wrong with the track, so nothing gets flagged
+player.events.addEventListener('files-needed', () => {
+  needsAuthBanner = true;
+  authBanner.classList.remove('hidden');
+  showToast('Allow access to your music folder to play');
 });
 
 player.events.addEventListener('playstate-change', (e) => {
   playerBar.setPlaying(e.detail.playing);
+  // The analyser only exists once playback has created the audio context
+  visualizer.setAnalyser(player.getAnalyser());
+  visualizer.setPlaying(e.detail.playing);
+  if (!e.detail.playing) persistPlayback();
 });
 
 player.events.addEventListener('timeupdate', (e) => {
-  playerBar.setProgress(e.detail.currentTime, e.detail.duration);
+  playerBar.setProgress(e.detail.currentTime, e.detail.duration, e.detail.remaining);
+});
+
+player.events.addEventListener('rate-change', (e) => {
+  playerBar.setRate(e.detail.rate);
+  settingsPanel.setValues({ speed: e.detail.rate });
+});
+
+player.events.addEventListener('loop-change', (e) => {
+  playerBar.setLoop(e.detail.a, e.detail.b);
+});
+
+player.events.addEventListener('sleep-timer', (e) => {
+  playerBar.setSleep(e.detail.mode, e.detail.remaining);
+});
+
+player.events.addEventListener('mode-change', (e) => {
+  playerBar.setModes(e.detail.shuffle, e.detail.repeat);
 });
 
 // --- Player bar controls ---
-playerBar.addEventListener('bar-toggle', () => player.togglePlay());
-playerBar.addEventListener('bar-prev', () => player.prev());
-playerBar.addEventListener('bar-next', () => player.next());
+playerBar.addEventListener('bar-toggle', async () => {
+  // After a reload the bar is restored before the files are back
+  if (!player.getState().playing && !await ensureFiles()) return;
+  player.togglePlay();
+});
+playerBar.addEventListener('bar-prev', async () => {
+  if (await ensureFiles()) player.prev();
+});
+playerBar.addEventListener('bar-next', async () => {
+  if (await ensureFiles()) player.next();
+});
 playerBar.addEventListener('bar-seek', (e) => player.seek(e.detail.fraction));
+playerBar.addEventListener('bar-shuffle', () => player.toggleShuffle());
+playerBar.addEventListener('bar-repeat', () => player.cycleRepeat());
+playerBar.addEventListener('bar-sleep', (e) => player.setSleepTimer(e.detail.mode, e.detail.minutes));
+playerBar.addEventListener('bar-jump', (e) => player.seekTo(e.detail.time));
+playerBar.addEventListener('bar-loop', (e) => {
+  const { action } = e.detail;
+  if (action === 'start') player.setLoopStart();
+  else if (action === 'end') player.setLoopEnd();
+  else player.clearLoop();
+});
+
+// --- Bookmarks (per track, by uid — dummy tracks have none) ---
+let bookmarkTrack = null;
+
+async function showBookmarks(track) {
+  bookmarkTrack = track;
+  let list = [];
+  if (track.uid) {
+    try {
+      list = await loadBookmarks(track.uid);
+    } catch (err) {
+      console.warn('[app] Failed to load bookmarks:', err);
+    }
+  }
+  if (bookmarkTrack === track) playerBar.setBookmarks(list);
+}
+
+playerBar.addEventListener('bar-bookmark-add', async (e) => {
+  const track = bookmarkTrack;
+  if (!track?.uid) return;
+  const time = player.getState().currentTime;
+  const name = e.detail.name || `Bookmark at ${formatTime(time)}`;
+  try {
+    await addBookmark({ trackUid: track.uid, name, time });
+  } catch (err) {
+    console.warn('[app] Bookmark save failed:', err);
+    return;
+  }
+  showBookmarks(track);
+});
+
+playerBar.addEventListener('bar-bookmark-delete', async (e) => {
+  const track = bookmarkTrack;
+  try {
+    await deleteBookmark(e.detail.id);
+  } catch (err) {
+    console.warn('[app] Bookmark delete failed:', err);
+  }
+  if (track) showBookmarks(track);
+});
+
+function formatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
+}
+
+// --- Resume position ---
+// Saved every few seconds while playing, on pause, and when the page goes away
+const PLAYBACK_SAVE_INTERVAL = 5000;
+
+function persistPlayback() {
+  const snapshot = player.getSnapshot();
+  if (!snapshot) return;
+  savePlaybackState(snapshot).catch(e => console.warn('[app] Playback state save failed:', e));
+}
+
+setInterval(() => {
+  if (player.getState().playing) persistPlayback();
+}, PLAYBACK_SAVE_INTERVAL);
+
+window.addEventListener('pagehide', persistPlayback);
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') persistPlayback();
+});
+
+// --- Settings ---
+settingsBtn.addEventListener('click', () => settingsPanel.toggle());
+
+function onSettingChange(e) {
+  const { key, value, live } = e.detail;
+  if (key === 'speed') {
+    if (live) player.setPlaybackRate(value);
+    else saveSpeed(value);
+    return;
+  }
+  applySetting(key, value);
+  if (live) return; // saved once the slider is let go
+  saveSetting(key, value).catch(err => console.warn('[app] Setting save failed:', err));
+}
+
+settingsPanel.addEventListener('setting-change', onSettingChange);
+eqPanel.addEventListener('setting-change', onSettingChange);
+
+settingsPanel.addEventListener('settings-action', (e) => {
+  if (e.detail.action === 'equalizer') {
+    settingsPanel.close();
+    eqPanel.open();
+  }
+});
+
+function applySetting(key, value) {
+  if (key === 'gapless') player.setGapless(value);
+  else if (key === 'crossfade') player.setCrossfade(value);
+  else if (key === 'replayGain') player.setReplayGainMode(value);
+  else if (key === 'mono') player.setMono(value);
+  else if (key === 'balance') player.setBalance(value);
+  else if (key === 'visualizer') visualizer.hidden = !value;
+  else if (key === 'eq') {
+    globalEq = value;
+    if (!albumEq) showEq(globalEq);
+  } else if (key === 'eqPresets') {
+    userPresets = value;
+    eqPanel.setUserPresets(userPresets);
+  }
+}
+
+// --- Equalizer ---
+// Dragging only moves the curve; it's saved once the slider is let go
+eqPanel.addEventListener('eq-change', (e) => {
+  const { live, ...eq } = e.detail;
+  if (live) player.setEqualizer(eq);
+  else saveEq(eq);
+});
+
+eqPanel.addEventListener('eq-scope', (e) => {
+  if (!overridesAlbum) return;
+  // Switching on copies the curve you hear now; switching off falls back to global
+  albumEq = e.detail.albumOnly ? { ...globalEq } : null;
+  saveAlbumSetting(overridesAlbum, 'eq', albumEq)
+    .catch(err => console.warn('[app] Album EQ save failed:', err));
+  showEq(albumEq || globalEq);
+});
+
+eqPanel.addEventListener('eq-preset-save', (e) => {
+  const preset = e.detail;
+  userPresets = [...userPresets.filter(p => p.name !== preset.name), preset];
+  saveSetting('eqPresets', userPresets).catch(err => console.warn('[app] Preset save failed:', err));
+  eqPanel.setUserPresets(userPresets);
+  saveEq({ ...preset, preset: preset.name });
+  eqPanel.setEqualizer(albumEq || globalEq);
+});
+
+eqPanel.addEventListener('eq-preset-delete', (e) => {
+  userPresets = userPresets.filter(p => p.name !== e.detail.name);
+  saveSetting('eqPresets', userPresets).catch(err => console.warn('[app] Preset save failed:', err));
+  eqPanel.setUserPresets(userPresets);
+});
+
+/** Apply a curve and store it where it belongs (album override or global) */
+function saveEq({ preamp, bands, preset }) {
+  const eq = { preamp, bands, preset };
+  player.setEqualizer(eq);
+  if (albumEq && overridesAlbum) {
+    albumEq = eq;
+    saveAlbumSetting(overridesAlbum, 'eq', eq).catch(err => console.warn('[app] Album EQ save failed:', err));
+  } else {
+    globalEq = eq;
+    saveSetting('eq', eq).catch(err => console.warn('[app] EQ save failed:', err));
+  }
+}
+
+function showEq(eq) {
+  player.setEqualizer(eq);
+  eqPanel.setEqualizer(eq);
+}
+
+// On album change: switch to the album's own curve (or back to the global
+// one) and to its remembered speed
+async function loadAlbumOverrides(album) {
+  if (album === overridesAlbum) return;
+  overridesAlbum = album;
+  let overrides = {};
+  try {
+    overrides = await loadAlbumSettings(album);
+  } catch (err) {
+    console.warn('[app] Failed to load album settings:', err);
+  }
+  if (overridesAlbum !== album) return; // album changed again meanwhile
+  albumEq = overrides.eq || null;
+  showEq(albumEq || globalEq);
+  eqPanel.setScope(album, !!albumEq);
+  player.setPlaybackRate(overrides.speed || 1);
+}
+
+// --- Playback speed ---
+// Always per album (audiobooks, lectures); normal speed clears the override
+function saveSpeed(rate) {
+  player.setPlaybackRate(rate);
+  if (!overridesAlbum) return;
+  saveAlbumSetting(overridesAlbum, 'speed', rate === 1 ? null : rate)
+    .catch(err => console.warn('[app] Album speed save failed:', err));
+}
+
+// --- Scan progress + cancel ---
+let scanController = null;
+let streaming = false;
+let streamed = false; // a partial library is on screen
+let restorePoint = null; // library + files from before the scan
+
+/**
+ * Run a library scan with the status pill up and its Cancel button wired in
+ * @param {(signal: AbortSignal) => Promise<T>} task
+ * @param {{ stream?: boolean }} [options] — show albums as folders finish
+ * @returns {Promise<T|null>} null when cancelled — a streamed partial library
+ *   is taken down again, since it was never saved
+ */
+async function runScan(task, { stream = false } = {}) {
+  if (!scanController) {
+    restorePoint = { albums, fileMap: player.getFileMap() };
+    streamed = false;
+  }
+  scanController?.abort(); // a new pick replaces whatever scan was running
+  const controller = scanController = new AbortController();
+  streaming = stream;
+  scanText.textContent = 'Looking for music…';
+  scanStatus.classList.remove('hidden');
+
+  try {
+    return await task(controller.signal);
+  } catch (e) {
+    if (e.name !== 'AbortError') throw e;
+    console.log('[app] Scan cancelled');
+    // Only for the user's cancel — a newer scan that took over has the screen now
+    if (scanController === controller) {
+      if (streamed) {
+        player.setFileMap(restorePoint.fileMap);
+        populateCarousel(restorePoint.albums);
+      }
+      showToast('Scan cancelled');
+    }
+    return null;
+  } finally {
+    if (scanController === controller) {
+      scanController = null;
+      streaming = false;
+      streamed = false;
+      restorePoint = null;
+      scanStatus.classList.add('hidden');
+    }
+  }
+}
+
+scanStatus.querySelector('.scan-status__btn').addEventListener('click', () => {
+  scanController?.abort();
+});
+
+scanEvents.addEventListener('scan-progress', (e) => {
+  const { phase, discovered, total, parsed, unchanged, failed } = e.detail;
+  if (phase === 'discover') {
+    scanText.textContent = `Found ${discovered} file${discovered === 1 ? '' : 's'}…`;
+  } else {
+    scanText.textContent = `Reading ${parsed + unchanged + failed} of ${total}`
+      + (failed ? ` · ${failed} unreadable` : '');
+  }
+});
+
+// Partial library while a scan runs — held back while an album is open
+scanEvents.addEventListener('scan-albums', (e) => {
+  if (!streaming || expanded !== null) return;
+  streamed = true;
+  player.setFileMap(e.detail.fileMap);
+  populateCarousel(e.detail.albums);
+});
 
 // --- Shared folder result handler ---
 function handleFolderResult(result) {
@@ -244,7 +674,8 @@ if (hasNativePicker) {
   folderBtn.addEventListener('click', async (e) => {
     e.preventDefault();
     try {
-      const result = await openMusicFolder();
+      const previous = hasRealLibrary ? albums : [];
+      const result = await runScan(signal => openMusicFolder({ signal, previous }), { stream: true });
       if (!result) return;
       handleFolderResult(result);
     } catch (err) {
@@ -260,8 +691,13 @@ musicInput.addEventListener('change', async () => {
   console.log(`[app] Input picked ${musicInput.files.length} file(s)`);
 
   try {
-    const result = await processPickedFiles(musicInput.files);
-    if (!result || result.albums.length === 0) {
+    // null from the loader means no audio; null from runScan means cancelled
+    const previous = hasRealLibrary ? albums : [];
+    const result = await runScan(async (signal) => (
+      await processPickedFiles(musicInput.files, { signal, previous }) ?? { albums: [] }
+    ), { stream: true });
+    if (!result) return;
+    if (result.albums.length === 0) {
       showToast('No audio files found');
       return;
     }
@@ -281,7 +717,9 @@ rescanBtn.addEventListener('click', async () => {
   rescanBtn.classList.add('spinning');
 
   try {
-    const result = await rescanFolder(storedHandle);
+    // The cached library stays up until the rescan is complete
+    const previous = hasRealLibrary ? albums : [];
+    const result = await runScan(signal => rescanFolder(storedHandle, { signal, previous }), { stream: !hasRealLibrary });
     if (result) {
       const { albums: newAlbums, fileMap } = result;
       console.log(`[app] Rescanned ${newAlbums.length} album(s)`);
@@ -321,7 +759,8 @@ authBanner.addEventListener('click', async () => {
 });
 
 async function doRescan(handle) {
-  const result = await rescanFolder(handle);
+  const previous = hasRealLibrary ? albums : [];
+  const result = await runScan(signal => rescanFolder(handle, { signal, previous }), { stream: !hasRealLibrary });
   if (result) {
     player.setFileMap(result.fileMap);
     if (result.albums.length > 0) {
@@ -334,6 +773,18 @@ async function doRescan(handle) {
 
 // --- Startup sequence ---
 async function init() {
+  // 0. Restore playback settings
+  try {
+    const settings = { ...DEFAULT_SETTINGS, ...await loadSettings() };
+    for (const [key, value] of Object.entries(settings)) applySetting(key, value);
+    settingsPanel.setValues(settings);
+    eqPanel.setValues(settings);
+  } catch (e) {
+    console.warn('[app] Failed to load settings:', e);
+    settingsPanel.setValues(DEFAULT_SETTINGS);
+    eqPanel.setValues(DEFAULT_SETTINGS);
+  }
+
   // 1. Try loading cached library from IndexedDB
   try {
     const cached = await loadLibrary();
@@ -341,6 +792,12 @@ async function init() {
       console.log(`[app] Loaded ${cached.length} album(s) from cache`);
       populateCarousel(cached);
       hasRealLibrary = true;
+
+      // Put the last session back in the player bar, paused
+      const snapshot = await loadPlaybackState();
+      if (snapshot && player.restoreSnapshot(snapshot, cached)) {
+        console.log('[app] Restored playback position');
+      }
     }
   } catch (e) {
     console.warn('[app] Failed to load cached library:', e);
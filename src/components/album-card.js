@@ -31,12 +31,37 @@ template.innerHTML = `
     }
     @media (min-width: 768px) { figure { width: 146px; } }
 
+    .art { position: relative; }
     img {
       width: 100%;
       aspect-ratio: 1;
       display: block;
       object-fit: cover;
     }
+    .actions {
+      position: absolute;
+      right: 0.35rem; bottom: 0.35rem;
+      display: flex; gap: 0.25rem;
+      opacity: 0; pointer-events: none;
+      transition: opacity 0.2s;
+    }
+    :host([highlighted]) .actions { opacity: 1; pointer-events: auto; }
+    .actions button {
+      width: 1.6rem; height: 1.6rem;
+      border: none; border-radius: 50%; padding: 0;
+      background: rgba(255, 253, 249, 0.85);
+      backdrop-filter: blur(10px);
+      -webkit-backdrop-filter: blur(10px);
+      box-shadow: 0 1px 6px rgba(26, 23, 20, 0.12);
+      cursor: pointer;
+      display: flex; align-items: center; justify-content: center;
+      color: #1a1714;
+    }
+    .actions svg {
+      width: 11px; height: 11px;
+      fill: none; stroke: currentColor; stroke-width: 2.2;
+      stroke-linecap: round; stroke-linejoin: round;
+    }
     figcaption { padding: 0.5rem 0.6rem 0.6rem; }
     strong {
       display: block;
@@ -59,7 +84,17 @@ template.innerHTML = `
     }
   </style>
   <figure>
-    <img draggable="false" alt="">
+    <div class="art">
+      <img draggable="false" alt="">
+      <div class="actions">
+        <button type="button" data-queue="next" aria-label="Play next">
+          <svg viewBox="0 0 24 24"><polyline points="4 6 10 12 4 18"/><line x1="14" y1="8" x2="21" y2="8"/><line x1="14" y1="12" x2="21" y2="12"/><line x1="14" y1="16" x2="21" y2="16"/></svg>
+        </button>
+        <button type="button" data-queue="append" aria-label="Add to queue">
+          <svg viewBox="0 0 24 24"><line x1="3" y1="6" x2="15" y2="6"/><line x1="3" y1="12" x2="15" y2="12"/><line x1="3" y1="18" x2="11" y2="18"/><line x1="18" y1="14" x2="18" y2="22"/><line x1="14" y1="18" x2="22" y2="18"/></svg>
+        </button>
+      </div>
+    </div>
     <figcaption>
       <strong></strong>
       <small></small>
@@ -79,6 +114,17 @@ class AlbumCard extends HTMLElement {
     this._artist = this.shadowRoot.querySelector('small');
     this._palette = null;
     this._loadHandler = null;
+
+    // Queue actions — keep the click from reaching the card (which expands it)
+    this.shadowRoot.querySelector('.actions').addEventListener('click', (e) => {
+      e.stopPropagation();
+      const btn = e.target.closest('button[data-queue]');
+      if (!btn) return;
+      this.dispatchEvent(new CustomEvent('card-queue', {
+        detail: { mode: btn.dataset.queue },
+        bubbles: true,
+      }));
+    });
   }
 
   set album(data) {
@@ -1,4 +1,8 @@
 import { rgb, gradient, tint, dark } from '../utils/palette.js';
+import { FAILURE_MESSAGES } from '../utils/failures.js';
+
+const ICON_PLAY_NEXT = '<svg viewBox="0 0 24 24"><polyline points="4 6 10 12 4 18"/><line x1="14" y1="8" x2="21" y2="8"/><line x1="14" y1="12" x2="21" y2="12"/><line x1="14" y1="16" x2="21" y2="16"/></svg>';
+const ICON_ADD_QUEUE = '<svg viewBox="0 0 24 24"><line x1="3" y1="6" x2="15" y2="6"/><line x1="3" y1="12" x2="15" y2="12"/><line x1="3" y1="18" x2="11" y2="18"/><line x1="18" y1="14" x2="18" y2="22"/><line x1="14" y1="18" x2="22" y2="18"/></svg>';
 
 const template = document.createElement('template');
 template.innerHTML = `
@@ -146,6 +150,8 @@ template.innerHTML = `
     }
     li:hover { background: rgba(26, 23, 20, 0.02); }
     li.playing { background: rgba(26, 23, 20, 0.06); }
+    li.failed .track-title { color: #a09889; text-decoration: line-through; }
+    li.failed .num { color: #b4553c; }
     li.playing .track-title { color: #6b635a; }
     .num {
       font-size: 0.7rem;
@@ -156,11 +162,44 @@ template.innerHTML = `
     }
     .track-info { flex: 1; min-width: 0; }
     .track-title { font-size: 0.8rem; font-weight: 500; line-height: 1.3; }
+    .track-artist { display: block; font-size: 0.65rem; font-weight: 300; color: #6b635a; }
+    li.chapter { padding: 0.45rem 0.25rem 0.45rem 2.75rem; border-bottom: none; }
+    li.chapter .track-title { font-size: 0.7rem; font-weight: 400; color: #6b635a; }
+    li.chapter.playing .track-title { color: #1a1714; }
+    li.disc {
+      cursor: default;
+      padding: 1.25rem 0.25rem 0.4rem;
+      border-bottom: 1px solid rgba(26, 23, 20, 0.1);
+    }
+    li.disc:hover { background: none; }
+    li.disc .track-title {
+      flex: 1;
+      font-size: 0.6rem; font-weight: 500;
+      letter-spacing: 0.2em; text-transform: uppercase;
+      color: #6b635a;
+    }
     time {
       font-size: 0.65rem;
       color: #a09889;
       font-variant-numeric: tabular-nums;
     }
+    .track-actions { display: flex; gap: 0.25rem; opacity: 0; transition: opacity 0.2s; }
+    li:hover .track-actions, li.playing .track-actions { opacity: 1; }
+    @media (hover: none) { .track-actions { opacity: 1; } }
+    .track-actions button {
+      width: 1.75rem; height: 1.75rem;
+      border: none; border-radius: 50%;
+      background: none; cursor: pointer; padding: 0;
+      display: flex; align-items: center; justify-content: center;
+      color: #6b635a;
+      transition: background 0.15s;
+    }
+    .track-actions button:hover { background: rgba(26, 23, 20, 0.06); }
+    .track-actions svg {
+      width: 14px; height: 14px;
+      fill: none; stroke: currentColor; stroke-width: 2;
+      stroke-linecap: round; stroke-linejoin: round;
+    }
   </style>
 
   <div class="surface">
@@ -223,26 +262,75 @@ class AlbumDetail extends HTMLElement {
     this._tracks.addEventListener('click', (e) => {
       const li = e.target.closest('li');
       if (!li || !this._album) return;
-      const items = [...this._tracks.querySelectorAll('li')];
-      const idx = items.indexOf(li);
-      if (idx >= 0) {
-        this.dispatchEvent(new CustomEvent('track-play', {
+
+      // Chapter rows start their track at the chapter mark
+      if (li.classList.contains('chapter')) {
+        const trackIndex = Number(li.dataset.track);
+        const chapter = this._album.tracks[trackIndex]?.chapters?.[Number(li.dataset.chapter)];
+        if (!chapter) return;
+        this.dispatchEvent(new CustomEvent('chapter-play', {
+          bubbles: true,
+          detail: { album: this._album, trackIndex, time: chapter.start },
+        }));
+        return;
+      }
+
+      const idx = Number(li.dataset.index);
+      if (!(idx >= 0)) return;
+
+      // "Play next" / "Add to queue" buttons inside the row
+      const action = e.target.closest('button[data-queue]');
+      if (action) {
+        this.dispatchEvent(new CustomEvent('track-queue', {
           bubbles: true,
-          detail: { album: this._album, trackIndex: idx },
+          detail: { album: this._album, trackIndex: idx, mode: action.dataset.queue },
         }));
+        return;
       }
+
+      this.dispatchEvent(new CustomEvent('track-play', {
+        bubbles: true,
+        detail: { album: this._album, trackIndex: idx },
+      }));
     });
 
     this._album = null;
   }
 
+  /**
+   * Flag a track that couldn't be played
+   * @param {number} index
+   * @param {string} reason — player failure reason
+   */
+  setTrackFailed(index, reason) {
+    const li = this._trackRow(index);
+    if (!li) return;
+    li.classList.add('failed');
+    li.title = `Couldn't play: ${FAILURE_MESSAGES[reason] || reason}`;
+  }
+
   setPlayingTrack(index) {
-    const items = this._tracks.querySelectorAll('li');
-    items.forEach((li, i) => {
-      li.classList.toggle('playing', i === index);
+    this._tracks.querySelectorAll('li.track').forEach((li) => {
+      li.classList.toggle('playing', Number(li.dataset.index) === index);
     });
   }
 
+  /**
+   * Highlight the chapter being played inside a track
+   * @param {number} trackIndex
+   * @param {number} chapterIndex — -1 for none
+   */
+  setPlayingChapter(trackIndex, chapterIndex) {
+    this._tracks.querySelectorAll('li.chapter').forEach((li) => {
+      li.classList.toggle('playing',
+        Number(li.dataset.track) === trackIndex && Number(li.dataset.chapter) === chapterIndex);
+    });
+  }
+
+  _trackRow(index) {
+    return this._tracks.querySelector(`li.track[data-index="${index}"]`);
+  }
+
   open(album, palette, originRect) {
     this._album = album;
 
@@ -256,12 +344,26 @@ class AlbumDetail extends HTMLElement {
     this._h2.textContent = album.title;
     this._artist.textContent = album.artist;
 
-    this._tracks.innerHTML = album.tracks.map((t, n) => `
-      <li>
-        <span class="num">${n + 1}</span>
-        <div class="track-info"><span class="track-title">${t.title}</span></div>
+    // Multi-disc albums get a header per disc and number tracks within it
+    const discs = discSections(album.tracks);
+    this._tracks.innerHTML = album.tracks.map((t, n) => `${discs?.get(n) ? `
+      <li class="disc">
+        <span class="track-title">Disc ${discs.get(n).disc}</span>
+        <time>${formatTime(discs.get(n).seconds)}</time>
+      </li>` : ''}
+      <li class="track${t.failed ? ' failed' : ''}" data-index="${n}"${t.failed ? ` title="Couldn't play: ${FAILURE_MESSAGES[t.failed] || t.failed}"` : ''}>
+        <span class="num">${discs ? n - firstOfDisc(discs, n) + 1 : n + 1}</span>
+        <div class="track-info"><span class="track-title">${t.title}</span>${t.artist ? `<span class="track-artist">${escapeHTML(t.artist)}</span>` : ''}</div>
+        <span class="track-actions">
+          <button type="button" data-queue="next" aria-label="Play next">${ICON_PLAY_NEXT}</button>
+          <button type="button" data-queue="append" aria-label="Add to queue">${ICON_ADD_QUEUE}</button>
+        </span>
         <time>${t.dur}</time>
-      </li>`).join('');
+      </li>${(t.chapters || []).map((c, i) => `
+      <li class="chapter" data-track="${n}" data-chapter="${i}">
+        <div class="track-info"><span class="track-title">${escapeHTML(c.title)}</span></div>
+        <time>${formatTime(c.start)}</time>
+      </li>`).join('')}`).join('');
 
     // Position surface at card origin
     Object.assign(this._surface.style, {
@@ -305,4 +407,46 @@ class AlbumDetail extends HTMLElement {
   }
 }
 
+/**
+ * Disc headers keyed by the index of each disc's first track, with the
+ * disc's total length — null for single-disc albums
+ * @returns {Map<number, { disc, seconds }>|null}
+ */
+function discSections(tracks) {
+  const sections = new Map();
+  let open = null;
+  tracks.forEach((t, n) => {
+    const disc = t.disc || 1;
+    if (!open || open.disc !== disc) {
+      open = { disc, seconds: 0 };
+      sections.set(n, open);
+    }
+    open.seconds += parseDuration(t.dur);
+  });
+  return sections.size > 1 ? sections : null;
+}
+
+function firstOfDisc(sections, n) {
+  let first = 0;
+  for (const start of sections.keys()) if (start <= n) first = start;
+  return first;
+}
+
+// "m:ss" (as formatted by file-loader) → seconds
+function parseDuration(dur) {
+  return String(dur || '').split(':').reduce((sum, part) => sum * 60 + (Number(part) || 0), 0);
+}
+
+function formatTime(seconds) {
+  const s = Math.floor(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const ss = String(s % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+function escapeHTML(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
 customElements.define('album-detail', AlbumDetail);
@@ -0,0 +1,367 @@
+// Equalizer sheet — <eq-panel> custom element
+// Sliders dispatch `eq-change` live while dragging (`live: true`) and once
+// more when let go; app.js applies the curve and, on the final one, decides
+// whether it is saved globally or as the album's override.
+
+import { EQ_FREQUENCIES, EQ_RANGE } from '../utils/audio-graph.js';
+import { BUILTIN_PRESETS } from '../utils/eq-presets.js';
+
+const tpl = document.createElement('template');
+tpl.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      position: fixed;
+      inset: 0;
+      z-index: 75;
+      pointer-events: none;
+    }
+    :host([open]) { pointer-events: auto; }
+
+    .scrim {
+      position: absolute;
+      inset: 0;
+      background: rgba(26, 23, 20, 0.18);
+      opacity: 0;
+      transition: opacity 0.3s;
+    }
+    :host([open]) .scrim { opacity: 1; }
+
+    .sheet {
+      position: absolute;
+      left: 0.75rem; right: 0.75rem; bottom: 0.75rem;
+      max-width: 32rem;
+      margin: 0 auto;
+      max-height: 85vh;
+      overflow-y: auto;
+      padding: 1.25rem 1.5rem 1.5rem;
+      border-radius: 1rem;
+      background: rgba(255, 253, 249, 0.92);
+      backdrop-filter: blur(20px) saturate(1.4);
+      -webkit-backdrop-filter: blur(20px) saturate(1.4);
+      box-shadow: 0 4px 24px rgba(26, 23, 20, 0.12), 0 1px 4px rgba(26, 23, 20, 0.06);
+      transform: translateY(calc(100% + 1rem));
+      transition: transform 0.35s cubic-bezier(0.4, 0, 0.15, 1);
+    }
+    :host([open]) .sheet { transform: translateY(0); }
+
+    header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 0.75rem;
+    }
+    h2 {
+      font-family: 'Instrument Serif', serif;
+      font-size: 1.4rem;
+      font-weight: 400;
+      margin: 0;
+    }
+    button {
+      font: inherit;
+      background: none; border: none; cursor: pointer; padding: 0;
+      color: #1a1714;
+    }
+    .close {
+      width: 2rem; height: 2rem;
+      border-radius: 50%;
+      display: flex; align-items: center; justify-content: center;
+    }
+    .close:hover { background: rgba(26, 23, 20, 0.06); }
+    .close svg { width: 14px; height: 14px; fill: none; stroke: currentColor; stroke-width: 2; stroke-linecap: round; }
+
+    .row {
+      display: flex;
+      align-items: center;
+      gap: 0.75rem;
+      padding: 0.4rem 0;
+      font-size: 0.8rem;
+      color: #1a1714;
+    }
+    .row > span:first-child { flex: 1; min-width: 0; }
+    .hint {
+      display: block;
+      font-size: 0.65rem; font-weight: 300; color: #6b635a;
+      margin-top: 0.1rem;
+      white-space: nowrap; overflow: hidden; text-overflow: ellipsis;
+    }
+    select, input[type="text"] {
+      font: inherit;
+      font-size: 0.75rem;
+      color: #1a1714;
+      background: rgba(26, 23, 20, 0.05);
+      border: none;
+      border-radius: 0.5rem;
+      padding: 0.3rem 0.5rem;
+      min-width: 0;
+    }
+    input[type="text"] { flex: 1; }
+    .pill {
+      font-size: 0.65rem; font-weight: 500;
+      letter-spacing: 0.08em; text-transform: uppercase;
+      padding: 0.35rem 0.8rem;
+      border-radius: 2rem;
+      background: rgba(26, 23, 20, 0.06);
+    }
+    .pill:hover { background: rgba(26, 23, 20, 0.1); }
+    .pill[hidden] { display: none; }
+    input[type="checkbox"] { width: 1rem; height: 1rem; accent-color: #1a1714; }
+    input[type="range"] { accent-color: #1a1714; }
+
+    .bands {
+      display: flex;
+      justify-content: space-between;
+      gap: 0.25rem;
+      padding: 0.75rem 0;
+      margin: 0.5rem 0;
+      border-top: 1px solid rgba(26, 23, 20, 0.06);
+      border-bottom: 1px solid rgba(26, 23, 20, 0.06);
+    }
+    .band {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 0.3rem;
+      flex: 1;
+    }
+    .band.preamp { padding-right: 0.5rem; border-right: 1px solid rgba(26, 23, 20, 0.06); }
+    .band input {
+      writing-mode: vertical-lr;
+      direction: rtl;
+      width: 1.25rem;
+      height: 8rem;
+    }
+    .band label, .band output {
+      font-size: 0.55rem;
+      color: #a09889;
+      font-variant-numeric: tabular-nums;
+    }
+    .band output { color: #6b635a; }
+  </style>
+
+  <div class="scrim"></div>
+  <div class="sheet" role="dialog" aria-label="Equalizer">
+    <header>
+      <h2>Equalizer</h2>
+      <button class="close" aria-label="Close equalizer">
+        <svg viewBox="0 0 24 24"><line x1="6" y1="6" x2="18" y2="18"/><line x1="18" y1="6" x2="6" y2="18"/></svg>
+      </button>
+    </header>
+
+    <label class="row">
+      <span>This album only<span class="hint album-name">Nothing playing</span></span>
+      <input type="checkbox" class="scope" disabled>
+    </label>
+
+    <div class="row">
+      <span>Preset</span>
+      <select class="preset"></select>
+      <button type="button" class="pill delete" hidden>Delete</button>
+    </div>
+
+    <div class="bands"></div>
+
+    <div class="row">
+      <input type="text" class="preset-name" placeholder="Save current curve as…" maxlength="40">
+      <button type="button" class="pill save">Save</button>
+    </div>
+
+    <label class="row">
+      <span>Mono</span>
+      <input type="checkbox" data-setting="mono">
+    </label>
+    <label class="row">
+      <span>Balance</span>
+      <input type="range" min="-1" max="1" step="0.05" data-setting="balance">
+    </label>
+  </div>
+`;
+
+const CUSTOM = '';
+
+class EqPanel extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(tpl.content.cloneNode(true));
+
+    this._preset = this.shadowRoot.querySelector('.preset');
+    this._delete = this.shadowRoot.querySelector('.delete');
+    this._bands = this.shadowRoot.querySelector('.bands');
+    this._scope = this.shadowRoot.querySelector('.scope');
+    this._albumName = this.shadowRoot.querySelector('.album-name');
+    this._name = this.shadowRoot.querySelector('.preset-name');
+    this._userPresets = [];
+
+    this._bands.innerHTML = bandHTML('preamp', 'Pre', 'preamp')
+      + EQ_FREQUENCIES.map((f, i) => bandHTML(String(i), formatFreq(f), '')).join('');
+    this._sliders = [...this._bands.querySelectorAll('input')];
+    this._renderPresets();
+
+    this.shadowRoot.querySelector('.scrim').addEventListener('click', () => this.close());
+    this.shadowRoot.querySelector('.close').addEventListener('click', () => this.close());
+
+    // Band sliders — live updates while dragging, settled on release
+    this._bands.addEventListener('input', () => {
+      this._preset.value = CUSTOM;
+      this._delete.hidden = true;
+      this._renderOutputs();
+      this._emitChange(null, true);
+    });
+    this._bands.addEventListener('change', () => this._emitChange(null));
+
+    this._preset.addEventListener('change', () => {
+      const preset = this._findPreset(this._preset.value);
+      this._delete.hidden = !this._userPresets.includes(preset);
+      if (!preset) return;
+      this._writeSliders(preset);
+      this._emitChange(preset.name);
+    });
+
+    this._scope.addEventListener('change', () => {
+      this.dispatchEvent(new CustomEvent('eq-scope', {
+        bubbles: true,
+        detail: { albumOnly: this._scope.checked },
+      }));
+    });
+
+    this.shadowRoot.querySelector('.save').addEventListener('click', () => {
+      const name = this._name.value.trim();
+      if (!name || BUILTIN_PRESETS.some(p => p.name === name)) return;
+      const { preamp, bands } = this._readSliders();
+      this._name.value = '';
+      this.dispatchEvent(new CustomEvent('eq-preset-save', {
+        bubbles: true,
+        detail: { name, preamp, bands },
+      }));
+    });
+
+    this._delete.addEventListener('click', () => {
+      const name = this._preset.value;
+      this.dispatchEvent(new CustomEvent('eq-preset-delete', {
+        bubbles: true,
+        detail: { name },
+      }));
+    });
+
+    // Mono / balance are plain settings, same event shape as <settings-panel>
+    this.shadowRoot.querySelectorAll('[data-setting]').forEach((input) => {
+      const range = input.type === 'range';
+      input.addEventListener('input', () => this._emitSetting(input, range));
+      if (range) input.addEventListener('change', () => this._emitSetting(input, false));
+    });
+  }
+
+  open() { this.setAttribute('open', ''); }
+  close() { this.removeAttribute('open'); }
+
+  /**
+   * Show a curve without dispatching
+   * @param {{ preamp, bands, preset? }} eq
+   */
+  setEqualizer(eq) {
+    this._writeSliders(eq);
+    this._preset.value = this._findPreset(eq.preset) ? eq.preset : CUSTOM;
+    this._delete.hidden = !this._userPresets.some(p => p.name === this._preset.value);
+  }
+
+  /** @param {Array<{ name, preamp, bands }>} presets — user-saved presets */
+  setUserPresets(presets) {
+    this._userPresets = presets;
+    const selected = this._preset.value;
+    this._renderPresets();
+    this._preset.value = this._findPreset(selected) ? selected : CUSTOM;
+    this._delete.hidden = !presets.some(p => p.name === this._preset.value);
+  }
+
+  /**
+   * @param {{ title }|null} album — album the override would apply to
+   * @param {boolean} albumOnly — whether it currently has one
+   */
+  setScope(album, albumOnly) {
+    this._albumName.textContent = album ? album.title : 'Nothing playing';
+    this._scope.disabled = !album;
+    this._scope.checked = albumOnly;
+  }
+
+  /** @param {{ mono?, balance? }} values */
+  setValues(values) {
+    for (const [key, value] of Object.entries(values)) {
+      const input = this.shadowRoot.querySelector(`[data-setting="${key}"]`);
+      if (!input) continue;
+      if (input.type === 'checkbox') input.checked = !!value;
+      else input.value = value;
+    }
+  }
+
+  _emitSetting(input, live) {
+    this.dispatchEvent(new CustomEvent('setting-change', {
+      bubbles: true,
+      detail: {
+        key: input.dataset.setting,
+        value: input.type === 'checkbox' ? input.checked : Number(input.value),
+        live,
+      },
+    }));
+  }
+
+  _emitChange(preset, live = false) {
+    this.dispatchEvent(new CustomEvent('eq-change', {
+      bubbles: true,
+      detail: { ...this._readSliders(), preset, live },
+    }));
+  }
+
+  _readSliders() {
+    const [pre, ...bands] = this._sliders.map(s => Number(s.value));
+    return { preamp: pre, bands };
+  }
+
+  _writeSliders({ preamp = 0, bands = [] }) {
+    this._sliders[0].value = preamp;
+    EQ_FREQUENCIES.forEach((_, i) => { this._sliders[i + 1].value = bands[i] ?? 0; });
+    this._renderOutputs();
+  }
+
+  _renderOutputs() {
+    this._bands.querySelectorAll('output').forEach((out, i) => {
+      const v = Number(this._sliders[i].value);
+      out.textContent = v > 0 ? `+${v}` : String(v);
+    });
+  }
+
+  _renderPresets() {
+    const option = (p) => `<option value="${escapeAttr(p.name)}">${escapeAttr(p.name)}</option>`;
+    this._preset.innerHTML = `<option value="${CUSTOM}">Custom</option>`
+      + `<optgroup label="Built-in">${BUILTIN_PRESETS.map(option).join('')}</optgroup>`
+      + (this._userPresets.length
+        ? `<optgroup label="Yours">${this._userPresets.map(option).join('')}</optgroup>`
+        : '');
+  }
+
+  _findPreset(name) {
+    if (!name) return null;
+    return this._userPresets.find(p => p.name === name)
+      || BUILTIN_PRESETS.find(p => p.name === name)
+      || null;
+  }
+}
+
+function bandHTML(id, label, cls) {
+  return `
+    <div class="band ${cls}">
+      <output>0</output>
+      <input type="range" min="${-EQ_RANGE}" max="${EQ_RANGE}" step="0.5" value="0" id="band-${id}" aria-label="${label}">
+      <label for="band-${id}">${label}</label>
+    </div>`;
+}
+
+function formatFreq(hz) {
+  return hz >= 1000 ? `${hz / 1000}k` : String(hz);
+}
+
+function escapeAttr(str) {
+  return str.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+customElements.define('eq-panel', EqPanel);
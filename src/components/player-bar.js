@@ -43,7 +43,71 @@ tpl.innerHTML = `
     button:hover { background: rgba(26, 23, 20, 0.06); }
     button svg { width: 14px; height: 14px; fill: currentColor; }
 
-    .prev svg, .next svg { fill: none; stroke: currentColor; stroke-width: 2; stroke-linecap: round; stroke-linejoin: round; }
+    .prev svg, .next svg, .mode svg { fill: none; stroke: currentColor; stroke-width: 2; stroke-linecap: round; stroke-linejoin: round; }
+
+    .mode { position: relative; color: #a09889; }
+    .mode.active { color: #1a1714; }
+    .mode .badge {
+      position: absolute;
+      top: 0.2rem; right: 0.2rem;
+      font-size: 0.45rem; font-weight: 500;
+      line-height: 1;
+      display: none;
+    }
+    .repeat[data-mode="one"] .badge { display: block; }
+
+    .sleep { width: auto; min-width: 2rem; gap: 0.2rem; padding: 0 0.45rem; border-radius: 1rem; }
+    .sleep-left {
+      font-size: 0.55rem;
+      font-variant-numeric: tabular-nums;
+    }
+    .sleep-left:empty { display: none; }
+
+    .menu {
+      position: absolute;
+      right: 1.5rem;
+      bottom: calc(100% - 0.25rem);
+      max-height: 60vh;
+      overflow-y: auto;
+      display: flex;
+      flex-direction: column;
+      padding: 0.35rem;
+      border-radius: 0.75rem;
+      background: rgba(255, 253, 249, 0.92);
+      backdrop-filter: blur(20px) saturate(1.4);
+      -webkit-backdrop-filter: blur(20px) saturate(1.4);
+      box-shadow: 0 4px 24px rgba(26, 23, 20, 0.12), 0 1px 4px rgba(26, 23, 20, 0.06);
+    }
+    .menu[hidden] { display: none; }
+    .menu button {
+      width: auto; height: auto;
+      justify-content: flex-start;
+      padding: 0.45rem 0.9rem;
+      border-radius: 0.5rem;
+      font: inherit;
+      font-size: 0.7rem;
+      white-space: nowrap;
+    }
+    .menu hr { border: none; border-top: 1px solid rgba(26, 23, 20, 0.06); margin: 0.2rem 0; }
+
+    .marks-menu { min-width: 12rem; }
+    .loop-row { display: flex; gap: 0.25rem; }
+    .loop-row button { flex: 1; justify-content: center; }
+    .mark-add { display: flex; gap: 0.25rem; padding: 0.2rem 0.35rem; }
+    .mark-add input {
+      flex: 1; min-width: 0;
+      font: inherit; font-size: 0.7rem;
+      color: #1a1714;
+      background: rgba(26, 23, 20, 0.05);
+      border: none; border-radius: 0.5rem;
+      padding: 0.3rem 0.5rem;
+    }
+    .mark-add button { padding: 0.3rem 0.6rem; }
+    .mark-item { display: flex; align-items: center; }
+    .mark-item .jump { flex: 1; gap: 0.5rem; }
+    .mark-item .jump span:last-child { margin-left: auto; color: #a09889; font-variant-numeric: tabular-nums; }
+    .mark-item .delete { padding: 0.45rem 0.6rem; color: #a09889; }
+    .marks-empty { font-size: 0.65rem; color: #a09889; padding: 0.3rem 0.9rem; }
 
     .info {
       flex: 1; min-width: 0;
@@ -74,6 +138,25 @@ tpl.innerHTML = `
       border-radius: 1px;
       overflow: hidden;
     }
+    .loop-region {
+      position: absolute;
+      top: 1px; bottom: 1px;
+      background: rgba(26, 23, 20, 0.18);
+      border-radius: 2px;
+      pointer-events: none;
+    }
+    .loop-region[hidden] { display: none; }
+    .tick {
+      position: absolute;
+      top: -3px;
+      width: 2px; height: 12px;
+      margin-left: -1px;
+      border-radius: 1px;
+      background: #6b635a;
+    }
+    /* Wider invisible hit area */
+    .tick::before { content: ''; position: absolute; inset: -4px -7px; }
+
     .progress-fill {
       height: 100%;
       background: #1a1714;
@@ -83,20 +166,37 @@ tpl.innerHTML = `
     }
 
     .time {
+      font: inherit;
       font-size: 0.55rem;
       color: #a09889;
       font-variant-numeric: tabular-nums;
-      flex-shrink: 0;
+      width: auto;
       min-width: 2.5rem;
-      text-align: right;
+      padding: 0 0.3rem;
+      border-radius: 1rem;
+      justify-content: flex-end;
+    }
+    .rate {
+      font-size: 0.55rem;
+      font-weight: 500;
+      color: #6b635a;
+      font-variant-numeric: tabular-nums;
+      flex-shrink: 0;
     }
+    .rate:empty { display: none; }
   </style>
 
   <div class="bar">
     <div class="progress-wrap">
       <div class="progress-bg"><div class="progress-fill"></div></div>
+      <div class="loop-region" hidden></div>
+      <div class="ticks"></div>
     </div>
 
+    <button class="mode shuffle" aria-label="Shuffle" aria-pressed="false">
+      <svg viewBox="0 0 24 24"><polyline points="16 3 21 3 21 8"/><line x1="4" y1="20" x2="21" y2="3"/><polyline points="21 16 21 21 16 21"/><line x1="15" y1="15" x2="21" y2="21"/><line x1="4" y1="4" x2="9" y2="9"/></svg>
+    </button>
+
     <button class="prev" aria-label="Previous track">
       <svg viewBox="0 0 24 24"><polyline points="19 20 9 12 19 4"/><line x1="5" y1="4" x2="5" y2="20"/></svg>
     </button>
@@ -110,12 +210,55 @@ tpl.innerHTML = `
       <svg viewBox="0 0 24 24"><polyline points="5 4 15 12 5 20"/><line x1="19" y1="4" x2="19" y2="20"/></svg>
     </button>
 
+    <button class="mode repeat" aria-label="Repeat: off" data-mode="off">
+      <svg viewBox="0 0 24 24"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>
+      <span class="badge">1</span>
+    </button>
+
     <div class="info">
       <span class="title">—</span>
       <span class="artist">&nbsp;</span>
     </div>
 
-    <span class="time">0:00</span>
+    <span class="rate"></span>
+    <button class="time" aria-label="Show remaining time">0:00</button>
+
+    <button class="mode marks" aria-label="Loop and bookmarks" aria-haspopup="menu">
+      <svg viewBox="0 0 24 24"><path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/></svg>
+    </button>
+
+    <button class="mode sleep" aria-label="Sleep timer" aria-haspopup="menu">
+      <svg viewBox="0 0 24 24"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"/></svg>
+      <span class="sleep-left"></span>
+    </button>
+  </div>
+
+  <div class="menu marks-menu" role="menu" hidden>
+    <div class="loop-row">
+      <button role="menuitem" data-loop="start">Set A</button>
+      <button role="menuitem" data-loop="end">Set B</button>
+      <button role="menuitem" data-loop="clear">Clear</button>
+    </div>
+    <hr>
+    <form class="mark-add">
+      <input type="text" placeholder="Bookmark name" maxlength="60" aria-label="Bookmark name">
+      <button type="submit">Add</button>
+    </form>
+    <div class="mark-list"></div>
+  </div>
+
+  <div class="menu sleep-menu" role="menu" hidden>
+    <button role="menuitem" data-sleep="minutes" data-minutes="15">15 minutes</button>
+    <button role="menuitem" data-sleep="minutes" data-minutes="30">30 minutes</button>
+    <button role="menuitem" data-sleep="minutes" data-minutes="45">45 minutes</button>
+    <button role="menuitem" data-sleep="minutes" data-minutes="60">1 hour</button>
+    <button role="menuitem" data-sleep="minutes" data-minutes="90">1½ hours</button>
+    <hr>
+    <button role="menuitem" data-sleep="track">End of track</button>
+    <button role="menuitem" data-sleep="album">End of album</button>
+    <button role="menuitem" data-sleep="queue">End of queue</button>
+    <hr>
+    <button role="menuitem" data-sleep="off">Off</button>
   </div>
 `;
 
@@ -130,8 +273,25 @@ class PlayerBar extends HTMLElement {
     this._fill = this.shadowRoot.querySelector('.progress-fill');
     this._progressWrap = this.shadowRoot.querySelector('.progress-wrap');
     this._time = this.shadowRoot.querySelector('.time');
+    this._rate = this.shadowRoot.querySelector('.rate');
+    this._showRemaining = false;
+    this._lastProgress = null;
     this._iconPlay = this.shadowRoot.querySelector('.icon-play');
     this._iconPause = this.shadowRoot.querySelector('.icon-pause');
+    this._shuffle = this.shadowRoot.querySelector('.shuffle');
+    this._repeat = this.shadowRoot.querySelector('.repeat');
+    this._sleep = this.shadowRoot.querySelector('.sleep');
+    this._sleepLeft = this.shadowRoot.querySelector('.sleep-left');
+    this._sleepMenu = this.shadowRoot.querySelector('.sleep-menu');
+    this._marks = this.shadowRoot.querySelector('.marks');
+    this._marksMenu = this.shadowRoot.querySelector('.marks-menu');
+    this._markList = this.shadowRoot.querySelector('.mark-list');
+    this._markName = this.shadowRoot.querySelector('.mark-add input');
+    this._loopRegion = this.shadowRoot.querySelector('.loop-region');
+    this._ticks = this.shadowRoot.querySelector('.ticks');
+    this._duration = 0;
+    this._loop = null;
+    this._bookmarks = [];
 
     // Button events — dispatch to document for app.js to handle
     this.shadowRoot.querySelector('.play-pause').addEventListener('click', () => {
@@ -144,6 +304,69 @@ class PlayerBar extends HTMLElement {
       this.dispatchEvent(new CustomEvent('bar-next', { bubbles: true }));
     });
 
+    this._shuffle.addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('bar-shuffle', { bubbles: true }));
+    });
+    this._repeat.addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('bar-repeat', { bubbles: true }));
+    });
+
+    // Elapsed ↔ remaining
+    this._time.addEventListener('click', () => {
+      this._showRemaining = !this._showRemaining;
+      this._time.setAttribute('aria-label', this._showRemaining ? 'Show elapsed time' : 'Show remaining time');
+      if (this._lastProgress) this.setProgress(...this._lastProgress);
+    });
+
+    this._sleep.addEventListener('click', () => this._toggleMenu(this._sleepMenu));
+    this._marks.addEventListener('click', () => this._toggleMenu(this._marksMenu));
+    this._sleepMenu.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-sleep]');
+      if (!btn) return;
+      this._sleepMenu.hidden = true;
+      const mode = btn.dataset.sleep === 'off' ? null : btn.dataset.sleep;
+      this.dispatchEvent(new CustomEvent('bar-sleep', {
+        bubbles: true,
+        detail: { mode, minutes: Number(btn.dataset.minutes) || 0 },
+      }));
+    });
+
+    // Loop points + bookmarks
+    this._marksMenu.addEventListener('click', (e) => {
+      const loopBtn = e.target.closest('button[data-loop]');
+      if (loopBtn) {
+        this.dispatchEvent(new CustomEvent('bar-loop', {
+          bubbles: true,
+          detail: { action: loopBtn.dataset.loop },
+        }));
+        return;
+      }
+      const item = e.target.closest('.mark-item');
+      if (!item) return;
+      const mark = this._bookmarks.find(b => String(b.id) === item.dataset.id);
+      if (!mark) return;
+      if (e.target.closest('.delete')) {
+        this.dispatchEvent(new CustomEvent('bar-bookmark-delete', { bubbles: true, detail: { id: mark.id } }));
+      } else {
+        this._marksMenu.hidden = true;
+        this._jump(mark.time);
+      }
+    });
+    this.shadowRoot.querySelector('.mark-add').addEventListener('submit', (e) => {
+      e.preventDefault();
+      const name = this._markName.value.trim();
+      this._markName.value = '';
+      this.dispatchEvent(new CustomEvent('bar-bookmark-add', { bubbles: true, detail: { name } }));
+    });
+
+    // Tapping a tick jumps to its bookmark instead of the tapped position
+    this._ticks.addEventListener('click', (e) => {
+      const tick = e.target.closest('.tick');
+      if (!tick) return;
+      e.stopPropagation();
+      this._jump(Number(tick.dataset.time));
+    });
+
     // Progress bar seek
     this._progressWrap.addEventListener('click', (e) => {
       const rect = this._progressWrap.getBoundingClientRect();
@@ -163,15 +386,124 @@ class PlayerBar extends HTMLElement {
     this._iconPause.style.display = playing ? 'block' : 'none';
   }
 
-  setProgress(currentTime, duration) {
+  /**
+   * @param {boolean} shuffle
+   * @param {'off'|'all'|'one'} repeat
+   */
+  setModes(shuffle, repeat) {
+    this._shuffle.classList.toggle('active', shuffle);
+    this._shuffle.setAttribute('aria-pressed', String(shuffle));
+    this._repeat.classList.toggle('active', repeat !== 'off');
+    this._repeat.dataset.mode = repeat;
+    this._repeat.setAttribute('aria-label', `Repeat: ${repeat}`);
+  }
+
+  /**
+   * Show the sleep timer state next to the moon icon
+   * @param {string|null} mode — null when no timer is set
+   * @param {number} remaining — seconds (may be Infinity while unknown)
+   */
+  setSleep(mode, remaining) {
+    this._sleep.classList.toggle('active', !!mode);
+    this._sleepLeft.textContent = mode && isFinite(remaining)
+      ? formatTime(Math.max(0, remaining))
+      : '';
+  }
+
+  /**
+   * @param {number} currentTime — media seconds
+   * @param {number} duration — media seconds
+   * @param {number} [remaining] — seconds left at the current speed
+   */
+  setProgress(currentTime, duration, remaining = duration - currentTime) {
     if (!isFinite(duration) || duration <= 0) return;
+    this._lastProgress = [currentTime, duration, remaining];
+    if (duration !== this._duration) {
+      this._duration = duration;
+      this._renderMarkers();
+    }
     const pct = (currentTime / duration) * 100;
     this._fill.style.width = pct + '%';
 
-    const m = Math.floor(currentTime / 60);
-    const s = Math.floor(currentTime % 60);
-    this._time.textContent = `${m}:${String(s).padStart(2, '0')}`;
+    this._time.textContent = this._showRemaining
+      ? `-${formatTime(Math.max(0, remaining))}`
+      : formatTime(currentTime);
   }
+
+  /**
+   * Loop region of the current track
+   * @param {number|null} a — seconds, null when no loop is set
+   * @param {number|null} b — seconds, null while only A is set
+   */
+  setLoop(a, b) {
+    this._loop = a == null ? null : { a, b };
+    this._marks.classList.toggle('active', !!this._loop || this._bookmarks.length > 0);
+    this._renderMarkers();
+  }
+
+  /** @param {Array<{ id, name, time }>} bookmarks — of the current track */
+  setBookmarks(bookmarks) {
+    this._bookmarks = [...bookmarks].sort((x, y) => x.time - y.time);
+    this._marks.classList.toggle('active', !!this._loop || this._bookmarks.length > 0);
+    this._markList.innerHTML = this._bookmarks.length
+      ? this._bookmarks.map(b => `
+        <div class="mark-item" data-id="${b.id}">
+          <button class="jump" role="menuitem"><span>${escapeHTML(b.name)}</span><span>${formatTime(b.time)}</span></button>
+          <button class="delete" aria-label="Delete bookmark">×</button>
+        </div>`).join('')
+      : '<div class="marks-empty">No bookmarks on this track</div>';
+    this._renderMarkers();
+  }
+
+  /** @param {number} rate — shown next to the time unless it is 1 */
+  setRate(rate) {
+    this._rate.textContent = rate === 1 ? '' : `${formatRate(rate)}×`;
+  }
+
+  _toggleMenu(menu) {
+    const open = menu.hidden;
+    this._sleepMenu.hidden = true;
+    this._marksMenu.hidden = true;
+    menu.hidden = !open;
+  }
+
+  _jump(time) {
+    this.dispatchEvent(new CustomEvent('bar-jump', { bubbles: true, detail: { time } }));
+  }
+
+  // Loop region + bookmark ticks are placed as fractions of the duration
+  _renderMarkers() {
+    const d = this._duration;
+    const pct = (t) => `${Math.max(0, Math.min(100, (t / d) * 100))}%`;
+
+    const loop = this._loop;
+    this._loopRegion.hidden = !loop || !d;
+    if (loop && d) {
+      const end = loop.b ?? loop.a;
+      this._loopRegion.style.left = pct(loop.a);
+      this._loopRegion.style.width = `calc(${pct(end)} - ${pct(loop.a)} + 2px)`;
+    }
+
+    this._ticks.innerHTML = d
+      ? this._bookmarks.map(b =>
+          `<span class="tick" data-time="${b.time}" style="left:${pct(b.time)}" title="${escapeHTML(b.name)}"></span>`
+        ).join('')
+      : '';
+  }
+}
+
+function escapeHTML(str) {
+  return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+}
+
+function formatRate(rate) {
+  return String(Math.round(rate * 100) / 100);
+}
+
+function formatTime(seconds) {
+  const m = Math.floor(seconds / 60);
+  const s = Math.floor(seconds % 60);
+  return `${m}:${String(s).padStart(2, '0')}`;
 }
 
 customElements.define('player-bar', PlayerBar);
@@ -179,6 +179,16 @@ class RingCarousel extends HTMLElement {
           }));
         }
       });
+      el.addEventListener('card-queue', (e) => {
+        e.stopPropagation();
+        const slot = this._pool.find(s => s.el === el);
+        if (slot && slot.albumIndex !== -1) {
+          this.dispatchEvent(new CustomEvent('album-queue', {
+            detail: { index: slot.albumIndex, mode: e.detail.mode },
+            bubbles: true,
+          }));
+        }
+      });
       el.addEventListener('palette-ready', (e) => {
         const slot = this._pool.find(s => s.el === el);
         if (slot && slot.albumIndex !== -1) {
@@ -0,0 +1,252 @@
+// Playback settings sheet — <settings-panel> custom element
+// Every control carries a data-setting key; changes are dispatched as
+// `setting-change` and app.js decides how to apply + persist them. Sliders
+// report each step with `live: true`, then once more when let go.
+
+const tpl = document.createElement('template');
+tpl.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      position: fixed;
+      inset: 0;
+      z-index: 70;
+      pointer-events: none;
+    }
+    :host([open]) { pointer-events: auto; }
+
+    .scrim {
+      position: absolute;
+      inset: 0;
+      background: rgba(26, 23, 20, 0.18);
+      opacity: 0;
+      transition: opacity 0.3s;
+    }
+    :host([open]) .scrim { opacity: 1; }
+
+    .sheet {
+      position: absolute;
+      left: 0.75rem; right: 0.75rem; bottom: 0.75rem;
+      max-width: 28rem;
+      margin: 0 auto;
+      max-height: 80vh;
+      overflow-y: auto;
+      padding: 1.25rem 1.5rem 1.5rem;
+      border-radius: 1rem;
+      background: rgba(255, 253, 249, 0.92);
+      backdrop-filter: blur(20px) saturate(1.4);
+      -webkit-backdrop-filter: blur(20px) saturate(1.4);
+      box-shadow: 0 4px 24px rgba(26, 23, 20, 0.12), 0 1px 4px rgba(26, 23, 20, 0.06);
+      transform: translateY(calc(100% + 1rem));
+      transition: transform 0.35s cubic-bezier(0.4, 0, 0.15, 1);
+    }
+    :host([open]) .sheet { transform: translateY(0); }
+
+    header {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      margin-bottom: 1rem;
+    }
+    h2 {
+      font-family: 'Instrument Serif', serif;
+      font-size: 1.4rem;
+      font-weight: 400;
+      margin: 0;
+    }
+    .close {
+      background: none; border: none; cursor: pointer; padding: 0;
+      width: 2rem; height: 2rem;
+      border-radius: 50%;
+      display: flex; align-items: center; justify-content: center;
+      color: #1a1714;
+    }
+    .close:hover { background: rgba(26, 23, 20, 0.06); }
+    .close svg { width: 14px; height: 14px; fill: none; stroke: currentColor; stroke-width: 2; stroke-linecap: round; }
+
+    section { padding: 0.75rem 0; border-top: 1px solid rgba(26, 23, 20, 0.06); }
+    h3 {
+      font-size: 0.6rem; font-weight: 500;
+      letter-spacing: 0.2em; text-transform: uppercase;
+      color: #a09889;
+      margin: 0 0 0.5rem;
+    }
+
+    .row {
+      display: flex;
+      align-items: center;
+      gap: 1rem;
+      padding: 0.4rem 0;
+      font-size: 0.8rem;
+      color: #1a1714;
+    }
+    .row > span:first-child { flex: 1; }
+    .hint { display: block; font-size: 0.65rem; font-weight: 300; color: #6b635a; margin-top: 0.1rem; }
+    output {
+      font-size: 0.7rem;
+      color: #6b635a;
+      font-variant-numeric: tabular-nums;
+      min-width: 2.5rem;
+      text-align: right;
+    }
+
+    input[type="range"] { width: 8rem; accent-color: #1a1714; }
+    input[type="checkbox"] { width: 1rem; height: 1rem; accent-color: #1a1714; }
+    .pill {
+      font: inherit;
+      font-size: 0.65rem; font-weight: 500;
+      letter-spacing: 0.08em; text-transform: uppercase;
+      color: #1a1714;
+      padding: 0.35rem 0.8rem;
+      border: none;
+      border-radius: 2rem;
+      background: rgba(26, 23, 20, 0.06);
+      cursor: pointer;
+    }
+    .pill:hover { background: rgba(26, 23, 20, 0.1); }
+    select {
+      font: inherit;
+      font-size: 0.75rem;
+      color: #1a1714;
+      background: rgba(26, 23, 20, 0.05);
+      border: none;
+      border-radius: 0.5rem;
+      padding: 0.3rem 0.5rem;
+    }
+  </style>
+
+  <div class="scrim"></div>
+  <div class="sheet" role="dialog" aria-label="Playback settings">
+    <header>
+      <h2>Playback</h2>
+      <button class="close" aria-label="Close settings">
+        <svg viewBox="0 0 24 24"><line x1="6" y1="6" x2="18" y2="18"/><line x1="18" y1="6" x2="6" y2="18"/></svg>
+      </button>
+    </header>
+
+    <section>
+      <h3>Transitions</h3>
+      <label class="row">
+        <span>Gapless<span class="hint">Join tracks without silence</span></span>
+        <input type="checkbox" data-setting="gapless">
+      </label>
+      <label class="row">
+        <span>Crossfade<span class="hint">Skipped between album neighbours when gapless</span></span>
+        <input type="range" min="0" max="12" step="1" data-setting="crossfade">
+        <output data-for="crossfade">Off</output>
+      </label>
+    </section>
+
+    <section>
+      <h3>Speed</h3>
+      <label class="row">
+        <span>Playback speed<span class="hint">Remembered for each album</span></span>
+        <input type="range" min="0.5" max="3" step="0.05" value="1" data-setting="speed">
+        <output data-for="speed">1×</output>
+      </label>
+    </section>
+
+    <section>
+      <h3>Sound</h3>
+      <div class="row">
+        <span>Equalizer<span class="hint">Bands, presets, mono and balance</span></span>
+        <button type="button" class="pill" data-action="equalizer">Adjust</button>
+      </div>
+      <label class="row">
+        <span>Visualizer<span class="hint">Spectrum behind the albums, in their colors</span></span>
+        <input type="checkbox" data-setting="visualizer">
+      </label>
+    </section>
+
+    <section>
+      <h3>Volume leveling</h3>
+      <label class="row">
+        <span>ReplayGain<span class="hint">Uses gain tags, never clips past the peak</span></span>
+        <select data-setting="replayGain">
+          <option value="off">Off</option>
+          <option value="track">Track</option>
+          <option value="album">Album</option>
+        </select>
+      </label>
+    </section>
+  </div>
+`;
+
+// How a setting's value is shown next to its control
+const FORMATTERS = {
+  crossfade: (v) => (v > 0 ? `${v} s` : 'Off'),
+  speed: (v) => `${Math.round(v * 100) / 100}×`,
+};
+
+class SettingsPanel extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(tpl.content.cloneNode(true));
+
+    this.shadowRoot.querySelector('.scrim').addEventListener('click', () => this.close());
+    this.shadowRoot.querySelector('.close').addEventListener('click', () => this.close());
+
+    // Control changes — event delegation on data-setting
+    this.shadowRoot.querySelector('.sheet').addEventListener('input', (e) => {
+      const input = e.target.closest('[data-setting]');
+      if (!input) return;
+      this._emitSetting(input, input.type === 'range');
+    });
+    this.shadowRoot.querySelector('.sheet').addEventListener('change', (e) => {
+      const input = e.target.closest('[data-setting]');
+      if (input?.type === 'range') this._emitSetting(input, false);
+    });
+
+    // Buttons that open other surfaces
+    this.shadowRoot.querySelector('.sheet').addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      this.dispatchEvent(new CustomEvent('settings-action', {
+        bubbles: true,
+        detail: { action: btn.dataset.action },
+      }));
+    });
+  }
+
+  open() { this.setAttribute('open', ''); }
+  close() { this.removeAttribute('open'); }
+  toggle() { this.toggleAttribute('open'); }
+
+  /**
+   * Reflect current values into the controls (does not dispatch)
+   * @param {Object} values — { [settingKey]: value }
+   */
+  setValues(values) {
+    for (const [key, value] of Object.entries(values)) {
+      const input = this.shadowRoot.querySelector(`[data-setting="${key}"]`);
+      if (!input) continue;
+      if (input.type === 'checkbox') input.checked = !!value;
+      else input.value = value;
+      this._renderOutput(key, value);
+    }
+  }
+
+  _emitSetting(input, live) {
+    const key = input.dataset.setting;
+    const value = readValue(input);
+    this._renderOutput(key, value);
+    this.dispatchEvent(new CustomEvent('setting-change', {
+      bubbles: true,
+      detail: { key, value, live },
+    }));
+  }
+
+  _renderOutput(key, value) {
+    const out = this.shadowRoot.querySelector(`output[data-for="${key}"]`);
+    if (out) out.textContent = FORMATTERS[key] ? FORMATTERS[key](value) : String(value);
+  }
+}
+
+function readValue(input) {
+  if (input.type === 'checkbox') return input.checked;
+  if (input.type === 'range' || input.type === 'number') return Number(input.value);
+  return input.value;
+}
+
+customElements.define('settings-panel', SettingsPanel);
@@ -0,0 +1,166 @@
+// Now-playing spectrum — <spectrum-visualizer> custom element
+// Draws mirrored frequency bars behind the ring carousel from the player's
+// AnalyserNode, tinted with the playing album's palette. Rendering only runs
+// while something plays and the tab is visible.
+
+import { rgb } from '../utils/palette.js';
+
+const BARS = 48;          // per side — the spectrum is mirrored around the centre
+const MIN_HZ = 40;
+const MAX_HZ = 16000;
+const HEIGHT = 0.32;      // of the viewport height, at full level
+const ALPHA = 0.22;
+const DECAY = 0.9;        // per frame once playback stops, until flat
+const FALLBACK = [[107, 99, 90], [160, 152, 137], [213, 208, 200]];
+
+const tpl = document.createElement('template');
+tpl.innerHTML = `
+  <style>
+    :host {
+      display: block;
+      position: fixed;
+      inset: 0;
+      z-index: 0;
+      pointer-events: none;
+      transition: opacity 0.6s;
+    }
+    :host([hidden]) { display: none; }
+    canvas { width: 100%; height: 100%; display: block; }
+  </style>
+  <canvas></canvas>
+`;
+
+class SpectrumVisualizer extends HTMLElement {
+  static get observedAttributes() { return ['hidden']; }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.shadowRoot.appendChild(tpl.content.cloneNode(true));
+
+    this._canvas = this.shadowRoot.querySelector('canvas');
+    this._ctx = this._canvas.getContext('2d');
+    this._analyser = null;
+    this._bins = null;
+    this._levels = new Float32Array(BARS);
+    this._colors = FALLBACK.map(c => rgb(c));
+    this._playing = false;
+    this._frame = 0;
+
+    this._draw = this._draw.bind(this);
+    this._onVisibility = () => this._update();
+    this._onResize = () => this._resize();
+  }
+
+  connectedCallback() {
+    document.addEventListener('visibilitychange', this._onVisibility);
+    window.addEventListener('resize', this._onResize);
+    this._resize();
+  }
+
+  disconnectedCallback() {
+    document.removeEventListener('visibilitychange', this._onVisibility);
+    window.removeEventListener('resize', this._onResize);
+    this._stop();
+  }
+
+  attributeChangedCallback() {
+    this._update();
+  }
+
+  /** @param {AnalyserNode|null} analyser */
+  setAnalyser(analyser) {
+    if (analyser === this._analyser) return;
+    this._analyser = analyser;
+    this._bins = analyser ? new Uint8Array(analyser.frequencyBinCount) : null;
+    this._update();
+  }
+
+  /** @param {Array<[r, g, b]>|null} palette — from extractPalette */
+  setPalette(palette) {
+    this._colors = (palette || FALLBACK).map(c => rgb(c));
+  }
+
+  /** @param {boolean} playing */
+  setPlaying(playing) {
+    this._playing = playing;
+    this._update();
+  }
+
+  // Keep drawing while audible, or while the bars still have to fall back
+  _update() {
+    const visible = document.visibilityState === 'visible' && !this.hidden;
+    const settling = this._levels.some(v => v > 0.005);
+    if (visible && this._analyser && (this._playing || settling)) {
+      if (!this._frame) this._frame = requestAnimationFrame(this._draw);
+    } else {
+      this._stop();
+    }
+  }
+
+  _stop() {
+    cancelAnimationFrame(this._frame);
+    this._frame = 0;
+  }
+
+  _resize() {
+    const dpr = window.devicePixelRatio || 1;
+    this._canvas.width = Math.round(innerWidth * dpr);
+    this._canvas.height = Math.round(innerHeight * dpr);
+    this._ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this._paint();
+  }
+
+  _draw() {
+    this._frame = 0;
+    if (this._playing) this._sample();
+    else this._levels.forEach((v, i) => { this._levels[i] = v * DECAY; });
+    this._paint();
+    this._update();
+  }
+
+  // Average the analyser bins into log-spaced bars
+  _sample() {
+    const analyser = this._analyser;
+    analyser.getByteFrequencyData(this._bins);
+    const hzPerBin = analyser.context.sampleRate / analyser.fftSize;
+    const ratio = MAX_HZ / MIN_HZ;
+
+    for (let i = 0; i < BARS; i++) {
+      const lo = Math.floor(MIN_HZ * Math.pow(ratio, i / BARS) / hzPerBin);
+      const hi = Math.max(lo + 1, Math.floor(MIN_HZ * Math.pow(ratio, (i + 1) / BARS) / hzPerBin));
+      let sum = 0;
+      for (let b = lo; b < hi && b < this._bins.length; b++) sum += this._bins[b];
+      this._levels[i] = sum / (hi - lo) / 255;
+    }
+  }
+
+  _paint() {
+    const ctx = this._ctx;
+    const w = innerWidth;
+    const h = innerHeight;
+    ctx.clearRect(0, 0, w, h);
+
+    const slot = w / (BARS * 2);
+    const barW = Math.max(1, slot * 0.6);
+    const maxH = h * HEIGHT;
+    const grad = ctx.createLinearGradient(0, h, 0, h - maxH);
+    grad.addColorStop(0, this._colors[0]);
+    grad.addColorStop(0.5, this._colors[1]);
+    grad.addColorStop(1, this._colors[2]);
+
+    ctx.globalAlpha = ALPHA;
+    ctx.fillStyle = grad;
+    for (let i = 0; i < BARS; i++) {
+      const barH = this._levels[i] * maxH;
+      if (barH < 0.5) continue;
+      // Low frequencies meet in the middle
+      const offset = i * slot + (slot - barW) / 2;
+      ctx.fillRect(w / 2 + offset, h - barH, barW, barH);
+      ctx.fillRect(w / 2 - offset - barW, h - barH, barW, barH);
+    }
+    ctx.globalAlpha = 1;
+  }
+}
+
+customElements.define('spectrum-visualizer', SpectrumVisualizer);
@@ -0,0 +1,63 @@
+// Lock-screen artwork — square, sized renditions of an album cover
+// Covers are usually blob: URLs that the OS media UI can't use directly and
+// come in arbitrary sizes, so they're redrawn to the sizes platforms ask for.
+
+const SIZES = [96, 128, 192, 256, 384, 512];
+const TYPE = 'image/jpeg';
+const QUALITY = 0.9;
+
+// Only the latest cover is kept
+let cached = null; // { cover, promise }
+
+/**
+ * @param {string} cover — album cover URL (blob:, data: or https:)
+ * @returns {Promise<Array<{ src, sizes, type }>>} MediaMetadata artwork entries
+ */
+export function artworkFor(cover) {
+  if (!cover) return Promise.resolve([]);
+  // Remote covers can't be redrawn (tainted canvas) — hand them over as they are
+  if (cover.startsWith('https://')) {
+    return Promise.resolve([{ src: cover, sizes: '512x512', type: TYPE }]);
+  }
+  if (cached?.cover === cover) return cached.promise;
+
+  const promise = render(cover).catch((err) => {
+    console.warn('[artwork] Could not render cover:', err.message);
+    return [];
+  });
+  cached = { cover, promise };
+  return promise;
+}
+
+// --- Internal ---
+
+async function render(cover) {
+  const img = await loadImage(cover);
+  // Centre square crop — covers aren't always square
+  const side = Math.min(img.naturalWidth, img.naturalHeight);
+  const sx = (img.naturalWidth - side) / 2;
+  const sy = (img.naturalHeight - side) / 2;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const entries = [];
+  for (const size of SIZES) {
+    // Never upscale past the source beyond the smallest size
+    if (size > side && entries.length) break;
+    canvas.width = size;
+    canvas.height = size;
+    ctx.drawImage(img, sx, sy, side, side, 0, 0, size, size);
+    // data: URLs — the media UI lives outside the page, where blob: URLs don't resolve
+    entries.push({ src: canvas.toDataURL(TYPE, QUALITY), sizes: `${size}x${size}`, type: TYPE });
+  }
+  return entries;
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('image failed to load'));
+    img.src = src;
+  });
+}
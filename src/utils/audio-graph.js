@@ -0,0 +1,147 @@
+// Web Audio routing for the player decks
+// element → MediaElementSource → per-deck gain ─┐
+//                                                ├→ preamp → 10-band EQ → mono → balance → destination
+// element → MediaElementSource → per-deck gain ─┘                                    └→ analyser
+//
+// The context is created lazily on the first connect (that needs to happen
+// inside a user gesture, or the context starts suspended). Once an element is
+// connected it only sounds through the graph, so resume() before every play.
+// Effect settings made before that are remembered and applied on creation.
+
+/** Centre frequencies of the equalizer bands (Hz) */
+export const EQ_FREQUENCIES = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+export const EQ_RANGE = 12; // ± dB for bands and preamp
+
+const BAND_Q = 1.41; // ~one octave per band
+
+let ctx = null;
+const inputs = new Map(); // HTMLMediaElement → GainNode
+let chain = null;         // { preamp, bands[], mono, panner, analyser }
+
+const effects = {
+  preamp: 0,
+  bands: EQ_FREQUENCIES.map(() => 0),
+  mono: false,
+  balance: 0,
+};
+
+/**
+ * Route a media element through the graph (idempotent).
+ * @param {HTMLMediaElement} el
+ * @returns {GainNode|null} the element's gain stage, or null without Web Audio
+ */
+export function connect(el) {
+  if (inputs.has(el)) return inputs.get(el);
+  if (!ensureContext()) return null;
+
+  const source = ctx.createMediaElementSource(el);
+  const gain = ctx.createGain();
+  source.connect(gain);
+  gain.connect(chain.preamp);
+  inputs.set(el, gain);
+  return gain;
+}
+
+/** Set the linear gain of a connected element */
+export function setGain(el, value) {
+  const gain = inputs.get(el);
+  if (!gain) return;
+  gain.gain.setTargetAtTime(value, ctx.currentTime, 0.02);
+}
+
+/** Resume a suspended context (autoplay policy, iOS interruptions) */
+export function resume() {
+  if (ctx && ctx.state !== 'running') ctx.resume().catch(() => {});
+}
+
+/**
+ * Tap on the final output, for visualizers (what you hear, after EQ and balance)
+ * @returns {AnalyserNode|null} null until playback has created the context
+ */
+export function getAnalyser() {
+  return chain ? chain.analyser : null;
+}
+
+/**
+ * @param {{ preamp: number, bands: number[] }} eq — gains in dB, one per EQ_FREQUENCIES entry
+ */
+export function setEqualizer({ preamp = 0, bands = [] }) {
+  effects.preamp = clampDb(preamp);
+  effects.bands = EQ_FREQUENCIES.map((_, i) => clampDb(bands[i] ?? 0));
+  applyEffects();
+}
+
+/** Fold both channels into one (useful with a single earbud) */
+export function setMono(enabled) {
+  effects.mono = !!enabled;
+  applyEffects();
+}
+
+/** @param {number} pan — -1 (left) … 1 (right) */
+export function setBalance(pan) {
+  effects.balance = Math.max(-1, Math.min(1, Number(pan) || 0));
+  applyEffects();
+}
+
+// --- Internal ---
+
+function ensureContext() {
+  if (ctx) return true;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return false;
+  ctx = new Ctx();
+  chain = buildChain();
+  applyEffects();
+  return true;
+}
+
+function buildChain() {
+  const preamp = ctx.createGain();
+
+  const bands = EQ_FREQUENCIES.map((freq, i) => {
+    const f = ctx.createBiquadFilter();
+    f.type = i === 0 ? 'lowshelf' : i === EQ_FREQUENCIES.length - 1 ? 'highshelf' : 'peaking';
+    f.frequency.value = freq;
+    f.Q.value = BAND_Q;
+    return f;
+  });
+
+  // Downmix happens by forcing a 1-channel node; the panner upmixes again
+  const mono = ctx.createGain();
+  mono.channelCountMode = 'explicit';
+  mono.channelInterpretation = 'speakers';
+
+  const panner = ctx.createStereoPanner
+    ? ctx.createStereoPanner()
+    : ctx.createGain(); // old Safari: balance unavailable
+
+  let node = preamp;
+  for (const f of bands) {
+    node.connect(f);
+    node = f;
+  }
+  node.connect(mono);
+  mono.connect(panner);
+  panner.connect(ctx.destination);
+
+  // Side branch — an analyser doesn't need to reach the destination to run
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 2048;
+  analyser.smoothingTimeConstant = 0.8;
+  panner.connect(analyser);
+
+  return { preamp, bands, mono, panner, analyser };
+}
+
+function applyEffects() {
+  if (!chain) return;
+  const t = ctx.currentTime;
+  chain.preamp.gain.setTargetAtTime(Math.pow(10, effects.preamp / 20), t, 0.02);
+  chain.bands.forEach((f, i) => f.gain.setTargetAtTime(effects.bands[i], t, 0.02));
+  chain.mono.channelCount = effects.mono ? 1 : 2;
+  if (chain.panner.pan) chain.panner.pan.setTargetAtTime(effects.balance, t, 0.02);
+}
+
+function clampDb(v) {
+  return Math.max(-EQ_RANGE, Math.min(EQ_RANGE, Number(v) || 0));
+}
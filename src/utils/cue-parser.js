@@ -0,0 +1,126 @@
+// CUE sheet parser — one audio image + a .cue becomes an album of virtual tracks
+// Pure functions apart from reading the file text, no DOM dependency
+
+import { applyReplayGainTag } from './replaygain.js';
+
+const FRAMES_PER_SECOND = 75; // CD frames in "mm:ss:ff" timestamps
+
+/**
+ * Read and parse a .cue file.
+ * Rippers write UTF-8 (often with BOM) or the local Windows code page, so
+ * strict UTF-8 is tried first with windows-1252 as the fallback.
+ * @param {File} file
+ * @returns {Promise<ReturnType<typeof parseCue>|null>} null if unreadable
+ */
+export async function readCue(file) {
+  let buf;
+  try {
+    buf = await file.arrayBuffer();
+  } catch {
+    return null;
+  }
+  let text;
+  try {
+    text = new TextDecoder('utf-8', { fatal: true }).decode(buf);
+  } catch {
+    text = new TextDecoder('windows-1252').decode(buf);
+  }
+  return parseCue(text);
+}
+
+/**
+ * @param {string} text — CUE sheet contents
+ * @returns {{
+ *   title: string|null, performer: string|null, replayGain: Object|null,
+ *   year: string|null, genre: string|null, composer: string|null,
+ *   files: Array<{ name: string, tracks: Array<{
+ *     number: number, title: string|null, performer: string|null,
+ *     composer: string|null, start: number, end: number|null, replayGain: Object|null
+ *   }> }>
+ * }} times in seconds; `end` is null for the last track of a file
+ */
+export function parseCue(text) {
+  const sheet = {
+    title: null, performer: null, replayGain: null,
+    year: null, genre: null, composer: null, files: [],
+  };
+  let file = null;
+  let track = null;
+
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const [command, ...args] = tokenize(line);
+    if (!command) continue;
+
+    switch (command.toUpperCase()) {
+      case 'FILE':
+        file = { name: args[0] || '', tracks: [] };
+        sheet.files.push(file);
+        track = null;
+        break;
+      case 'TRACK':
+        if (!file) break;
+        track = {
+          number: parseInt(args[0], 10) || file.tracks.length + 1,
+          title: null,
+          performer: null,
+          composer: null,
+          start: null,
+          end: null,
+          replayGain: null,
+        };
+        file.tracks.push(track);
+        break;
+      case 'TITLE':
+        (track || sheet).title = args[0] || null;
+        break;
+      case 'PERFORMER':
+        (track || sheet).performer = args[0] || null;
+        break;
+      case 'SONGWRITER':
+        (track || sheet).composer = args[0] || null;
+        break;
+      case 'INDEX':
+        // INDEX 01 is where the track starts; 00 marks the pregap before it
+        if (track && parseInt(args[0], 10) === 1) track.start = parseTimestamp(args[1]);
+        break;
+      case 'REM': {
+        // Rippers put album date/genre in REM comments, next to ReplayGain
+        if (args.length < 2) break;
+        const key = args[0].toUpperCase();
+        if (key === 'DATE' && !track) sheet.year = args[1];
+        else if (key === 'GENRE' && !track) sheet.genre = args[1];
+        else applyReplayGainTag(track || sheet, args[0], args[1]);
+        break;
+      }
+    }
+  }
+
+  // Each track runs until the next one in the same file starts
+  for (const f of sheet.files) {
+    f.tracks = f.tracks.filter(t => t.start != null);
+    f.tracks.forEach((t, i) => {
+      const next = f.tracks[i + 1];
+      t.end = next ? next.start : null;
+    });
+  }
+  sheet.files = sheet.files.filter(f => f.tracks.length > 0);
+
+  return sheet;
+}
+
+// --- Internal ---
+
+// Split a line into words, keeping "quoted strings" together
+function tokenize(line) {
+  const tokens = [];
+  const re = /"([^"]*)"?|(\S+)/g;
+  let m;
+  while ((m = re.exec(line))) tokens.push(m[1] ?? m[2]);
+  return tokens;
+}
+
+function parseTimestamp(ts) {
+  const m = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(ts || '');
+  if (!m) return null;
+  return Number(m[1]) * 60 + Number(m[2]) + Number(m[3]) / FRAMES_PER_SECOND;
+}
@@ -1,5 +1,6 @@
 // Dexie.js persistence layer for ProtoPlayer
 import Dexie from 'dexie';
+import { albumUid } from './ids.js';
 
 const db = new Dexie('ProtoPlayerDB');
 
@@ -9,13 +10,85 @@ db.version(1).stores({
   config: 'key',
 });
 
+// v2: per-album overrides (EQ, …) keyed by album identity (its uid since v6)
+db.version(2).stores({
+  albumSettings: 'key',
+});
+
+// v3: named bookmarks, looked up by track path
+db.version(3).stores({
+  bookmarks: '++id, path',
+});
+
+// v4: extended tags — year / genre / album artist / disc / composer.
+// Existing rows get explicit nulls; an album's artist was its album artist.
+db.version(4).stores({
+  albums: '++id, title, artist, albumArtist, year, genre',
+  tracks: '++id, albumId, trackNum, disc, year, genre, composer',
+}).upgrade(async (tx) => {
+  await tx.table('albums').toCollection().modify((a) => {
+    a.albumArtist ??= a.artist;
+    a.year ??= null;
+    a.genre ??= null;
+  });
+  await tx.table('tracks').toCollection().modify((t) => {
+    Object.assign(t, extendedTags(t));
+  });
+});
+
+// v5: each track remembers its file's size + lastModified and what the
+// parser read from it, so a rescan only re-reads files that changed
+db.version(5).stores({
+  tracks: '++id, albumId, trackNum, disc, year, genre, composer, path',
+}).upgrade(async (tx) => {
+  await tx.table('tracks').toCollection().modify((t) => {
+    t.size ??= null;
+    t.lastModified ??= null;
+    t.scan ??= null;
+  });
+});
+
+// v6: stable ids (see ids.js) that outlive rescans — `id` stays the row key.
+// Albums get theirs now; tracks on the next scan, which fingerprints them.
+// Album overrides move from `title|||artist` keys to the album's uid;
+// bookmarks follow their track's uid once that scan has given it one.
+db.version(6).stores({
+  albums: '++id, &uid, title, artist, albumArtist, year, genre',
+  tracks: '++id, &uid, albumId, trackNum, disc, year, genre, composer, path',
+  bookmarks: '++id, trackUid, path',
+}).upgrade(async (tx) => {
+  await tx.table('albums').toCollection().modify((a) => {
+    a.uid = albumUid(a.artist, a.title);
+  });
+  const overrides = await tx.table('albumSettings').toArray();
+  await tx.table('albumSettings').clear();
+  await tx.table('albumSettings').bulkPut(overrides.map(({ key, value }) => {
+    const [title, artist] = key.split('|||');
+    return { key: albumUid(artist, title), value };
+  }));
+});
+
+// Cover URLs whose image is already stored, → the album uid it's stored on:
+// blob URLs made by loadLibrary and the covers saveLibrary wrote
+const storedCovers = new Map();
+
 /**
- * Save library to IndexedDB
- * @param {Array} albums — [{ title, artist, cover (blob/data URL), tracks: [{ title, dur, path }] }]
+ * Save library to IndexedDB. Rows are upserted by uid (tracks stored before
+ * they had one, by path), keeping any fields the library doesn't carry; rows
+ * for albums and tracks that are gone are deleted. Bookmarks still keyed by
+ * path go to the track now at that path. Rows and covers that didn't change
+ * aren't rewritten.
+ * @param {Array} albums — [{ uid, title, artist, albumArtist, year, genre, cover (blob/data URL),
+ *   tracks: [{ uid, title, artist, dur, trackNum, path, replayGain, failed?,
+ *     albumArtist, disc, year, genre, composer, size, lastModified, scan }] }]
+ *   (track artist is null unless it differs from the album's; size/lastModified
+ *   are the audio file's, scan is { tags, duration } as parsed from it)
+ *   CUE tracks also carry { source, start, end }; chaptered files { chapters }
  */
 export async function saveLibrary(albums) {
   // Fetch cover art BEFORE opening transaction (network calls cause premature commit)
   const covers = await Promise.all(albums.map(async (album) => {
+    if (storedCovers.get(album.cover) === albumUidOf(album)) return null; // already stored
     if (album.cover && !album.cover.startsWith('data:image/svg+xml')) {
       try {
         const resp = await fetch(album.cover);
@@ -27,28 +100,79 @@ export async function saveLibrary(albums) {
     return { data: null, mime: null };
   }));
 
-  await db.transaction('rw', db.albums, db.tracks, async () => {
-    await db.albums.clear();
-    await db.tracks.clear();
+  await db.transaction('rw', db.albums, db.tracks, db.bookmarks, async () => {
+    const albumRows = new Map((await db.albums.toArray()).map(row => [row.uid, row]));
+    const allTracks = await db.tracks.toArray();
+    const trackRows = new Map(allTracks.filter(row => row.uid).map(row => [row.uid, row]));
+    const legacyRows = new Map(allTracks.filter(row => !row.uid).map(row => [row.path, row]));
+    const keptAlbums = new Set();
+    const keptTracks = new Set();
+    const uidsByPath = new Map();
+    const rows = []; // new or changed tracks only
 
     for (let i = 0; i < albums.length; i++) {
       const album = albums[i];
-      const albumId = await db.albums.add({
+      const uid = albumUidOf(album);
+      const existingAlbum = albumRows.get(uid);
+      // A placeholder over a row without a cover is no change either
+      const coverChanged = covers[i] && (covers[i].data || existingAlbum?.coverData);
+      const fields = {
+        uid,
         title: album.title,
         artist: album.artist,
-        coverData: covers[i].data,
-        coverMime: covers[i].mime,
-      });
-
-      const trackRows = album.tracks.map((t, n) => ({
-        albumId,
-        title: t.title,
-        dur: t.dur,
-        trackNum: n + 1,
-        path: t.path || null,
-      }));
+        albumArtist: album.albumArtist ?? album.artist,
+        year: album.year ?? null,
+        genre: album.genre ?? null,
+        ...(coverChanged && { coverData: covers[i].data, coverMime: covers[i].mime }),
+      };
+      let albumId = existingAlbum?.id;
+      if (!existingAlbum || coverChanged || !sameFields(existingAlbum, fields)) {
+        albumId = await db.albums.put({ coverData: null, coverMime: null, ...existingAlbum, ...fields });
+      }
+      keptAlbums.add(albumId);
+      if (covers[i]?.data) storedCovers.set(album.cover, uid);
 
-      await db.tracks.bulkAdd(trackRows);
+      for (const t of album.tracks) {
+        const existing = (t.uid && trackRows.get(t.uid)) || legacyRows.get(t.path);
+        if (t.uid && t.path) uidsByPath.set(t.path, t.uid);
+        const row = {
+          uid: t.uid || null,
+          albumId,
+          title: t.title,
+          dur: t.dur,
+          trackNum: t.trackNum ?? null,
+          path: t.path || null,
+          replayGain: t.replayGain || null,
+          failed: t.failed || null,
+          chapters: t.chapters || null,
+          artist: t.artist || null,
+          ...extendedTags(t),
+          ...(t.source && { source: t.source, start: t.start, end: t.end }),
+          size: t.size ?? null,
+          lastModified: t.lastModified ?? null,
+          scan: t.scan || null,
+        };
+        if (existing) keptTracks.add(existing.id);
+        if (!existing || !sameFields(existing, row)) rows.push({ ...existing, ...row });
+      }
+    }
+
+    // Gone rows first — a moved track's new path may have been another row's
+    await db.tracks.bulkDelete(allTracks.filter(row => !keptTracks.has(row.id)).map(row => row.id));
+    const goneAlbums = [...albumRows.values()].filter(row => !keptAlbums.has(row.id));
+    await db.albums.bulkDelete(goneAlbums.map(row => row.id));
+    await db.tracks.bulkPut(rows);
+
+    // Bookmarks from before v6 — only those still carry a path
+    const legacyBookmarks = await db.bookmarks.where('path').anyOf([...uidsByPath.keys()]).toArray();
+    await db.bookmarks.bulkPut(legacyBookmarks.map(({ id, path, name, time }) => (
+      { id, trackUid: uidsByPath.get(path), name, time }
+    )));
+
+    // Their covers went with them — should they come back, store them again
+    const goneUids = new Set(goneAlbums.map(row => row.uid));
+    for (const [url, uid] of storedCovers) {
+      if (goneUids.has(uid)) storedCovers.delete(url);
     }
   });
 }
@@ -76,15 +200,35 @@ export async function loadLibrary() {
     if (row.coverData) {
       const blob = new Blob([row.coverData], { type: row.coverMime || 'image/jpeg' });
       cover = URL.createObjectURL(blob);
+      storedCovers.set(cover, row.uid);
     } else {
       cover = placeholderCover();
     }
 
     const tracks = (tracksByAlbum.get(row.id) || [])
-      .sort((a, b) => a.trackNum - b.trackNum)
-      .map(t => ({ title: t.title, dur: t.dur, path: t.path }));
+      // Play order, as file-loader sorts it — ids don't follow it after a rescan
+      .sort((a, b) => (a.disc || 1) - (b.disc || 1)
+        || (a.trackNum ?? 9999) - (b.trackNum ?? 9999)
+        || a.title.localeCompare(b.title))
+      .map(t => ({
+        uid: t.uid || null,
+        title: t.title, dur: t.dur, path: t.path, trackNum: t.trackNum ?? null,
+        replayGain: t.replayGain || null,
+        failed: t.failed || null,
+        chapters: t.chapters || null,
+        artist: t.artist || null,
+        ...extendedTags(t),
+        ...(t.source && { source: t.source, start: t.start, end: t.end }),
+        size: t.size ?? null,
+        lastModified: t.lastModified ?? null,
+        scan: t.scan || null,
+      }));
 
-    return { title: row.title, artist: row.artist, cover, tracks };
+    return {
+      uid: row.uid, title: row.title, artist: row.artist,
+      albumArtist: row.albumArtist ?? row.artist, year: row.year ?? null, genre: row.genre ?? null,
+      cover, tracks,
+    };
   });
 
   albums.sort((a, b) => a.title.localeCompare(b.title));
@@ -106,6 +250,93 @@ export async function loadHandle() {
   return row ? row.value : null;
 }
 
+/**
+ * Store the player snapshot (queue, current track, position) for resume
+ */
+export async function savePlaybackState(snapshot) {
+  await db.config.put({ key: 'playback', value: snapshot });
+}
+
+/**
+ * Retrieve the last player snapshot (or null)
+ */
+export async function loadPlaybackState() {
+  const row = await db.config.get('playback');
+  return row ? row.value : null;
+}
+
+/**
+ * Store a user setting (crossfade length, gapless, …) in the config table
+ */
+export async function saveSetting(key, value) {
+  await db.config.put({ key: `setting:${key}`, value });
+}
+
+/**
+ * Retrieve all stored user settings
+ * @returns {Promise<Object>} — { [key]: value }
+ */
+export async function loadSettings() {
+  const rows = await db.config.where('key').startsWith('setting:').toArray();
+  return Object.fromEntries(rows.map(r => [r.key.slice('setting:'.length), r.value]));
+}
+
+/**
+ * Retrieve per-album overrides (or an empty object)
+ * @param {{ uid, title, artist }} album
+ */
+export async function loadAlbumSettings(album) {
+  const row = await db.albumSettings.get(albumUidOf(album));
+  return row ? row.value : {};
+}
+
+/**
+ * Set (or with value null, clear) one per-album override
+ * @param {{ uid, title, artist }} album
+ * @param {string} field — e.g. 'eq'
+ */
+export async function saveAlbumSetting(album, field, value) {
+  const key = albumUidOf(album);
+  await db.transaction('rw', db.albumSettings, async () => {
+    const row = await db.albumSettings.get(key);
+    const settings = { ...(row ? row.value : {}) };
+    if (value === null) delete settings[field];
+    else settings[field] = value;
+    await db.albumSettings.put({ key, value: settings });
+  });
+}
+
+/**
+ * Flag a track that couldn't be played. The flag lives on the stored track
+ * row, so the next rescan (which rewrites every track's fields) clears it.
+ * @param {string} path
+ * @param {string} reason — player failure reason
+ */
+export async function markTrackFailed(path, reason) {
+  await db.tracks.where('path').equals(path).modify({ failed: reason });
+}
+
+/**
+ * Bookmarks of one track
+ * @param {string} trackUid
+ * @returns {Promise<Array<{ id, trackUid, name, time }>>}
+ */
+export async function loadBookmarks(trackUid) {
+  return db.bookmarks.where('trackUid').equals(trackUid).toArray();
+}
+
+/**
+ * @param {{ trackUid, name, time }} bookmark — time in seconds
+ * @returns {Promise<number>} new bookmark id
+ */
+export async function addBookmark({ trackUid, name, time }) {
+  return db.bookmarks.add({ trackUid, name, time });
+}
+
+export async function deleteBookmark(id) {
+  await db.bookmarks.delete(id);
+}
+
 /**
  * Wipe albums + tracks (for full rescan)
  */
@@ -116,6 +347,30 @@ export async function clearLibrary() {
   });
 }
 
+// Extended tag fields of a track row (explicit nulls keep rows uniform)
+function extendedTags(t) {
+  return {
+    albumArtist: t.albumArtist ?? null,
+    disc: t.disc ?? null,
+    year: t.year ?? null,
+    genre: t.genre ?? null,
+    composer: t.composer ?? null,
+  };
+}
+
+function albumUidOf(album) {
+  return album.uid || albumUid(album.artist, album.title);
+}
+
+// Whether a stored row already holds these values (nested ones compared as JSON)
+function sameFields(row, fields) {
+  return Object.entries(fields).every(([key, value]) => (
+    value !== null && typeof value === 'object'
+      ? JSON.stringify(row[key]) === JSON.stringify(value)
+      : row[key] === value
+  ));
+}
+
 function placeholderCover() {
   return `data:image/svg+xml,${encodeURIComponent(
     `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 400 400">
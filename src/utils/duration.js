@@ -0,0 +1,223 @@
+// Durations straight from container headers — no <audio> element, no decoding
+// Reads a few small slices per file. Pure functions, no DOM dependency
+import { readMoov, findAtom } from './metadata.js';
+
+const MP3_SYNC_WINDOW = 64 * 1024; // how far past the tag to look for the first frame
+const OGG_TAIL = 64 * 1024;        // the last page is always within this
+
+/**
+ * @param {File} file
+ * @returns {Promise<number>} seconds, 0 when the header doesn't tell
+ */
+export async function probeDuration(file) {
+  const name = file.name.toLowerCase();
+  try {
+    if (name.endsWith('.mp3')) return await mp3Duration(file);
+    if (name.endsWith('.flac')) return await flacDuration(file);
+    if (name.endsWith('.ogg') || name.endsWith('.opus')) return await oggDuration(file);
+    if (name.endsWith('.m4a') || name.endsWith('.m4b') || name.endsWith('.aac')) return await mp4Duration(file);
+    if (name.endsWith('.wav')) return await wavDuration(file);
+  } catch (e) {
+    console.warn(`[duration] ${file.name}:`, e.message);
+  }
+  return 0;
+}
+
+// --- FLAC ---
+
+// STREAMINFO is always the first metadata block: 20-bit sample rate and
+// 36-bit total sample count, 10 bytes into its body
+async function flacDuration(file) {
+  const start = await id3v2Length(file); // a few taggers prepend ID3 anyway
+  const b = await readBytes(file, start, 42);
+  if (b.length < 42 || ascii(b, 0, 4) !== 'fLaC' || (b[4] & 0x7f) !== 0) return 0;
+  const rate = (b[18] << 12) | (b[19] << 4) | (b[20] >> 4);
+  const samples = (b[21] & 0x0f) * 2 ** 32 + new DataView(b.buffer).getUint32(22);
+  return rate && samples ? samples / rate : 0;
+}
+
+// --- MP3 ---
+
+const MP3_BITRATES = {
+  // kbps by [version 1 | 2(.5)][layer 1..3]
+  V1L1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  V1L2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  V1L3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  V2L1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  V2L2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MP3_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/**
+ * Frame count from a Xing/Info or VBRI header in the first frame when there
+ * is one (VBR), otherwise the audio size over the first frame's bitrate (CBR)
+ */
+async function mp3Duration(file) {
+  const start = await id3v2Length(file);
+  const b = await readBytes(file, start, MP3_SYNC_WINDOW);
+  const view = new DataView(b.buffer);
+
+  for (let i = 0; i + 4 <= b.length; i++) {
+    const frame = mp3Frame(b, i);
+    // A real frame is followed by another one — rules out stray 0xFFE bytes
+    if (!frame || (i + frame.length + 4 <= b.length && !mp3Frame(b, i + frame.length))) continue;
+
+    const perFrame = frame.layer === 1 ? 384 : frame.layer === 2 || frame.version === 3 ? 1152 : 576;
+
+    // Xing/Info sits after the side info, whose size depends on version + channels
+    const side = frame.version === 3 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+    const xing = i + 4 + side;
+    const tag = ascii(b, xing, 4);
+    if ((tag === 'Xing' || tag === 'Info') && xing + 12 <= b.length && (view.getUint32(xing + 4) & 0x1)) {
+      return view.getUint32(xing + 8) * perFrame / frame.rate;
+    }
+    const vbri = i + 4 + 32;
+    if (ascii(b, vbri, 4) === 'VBRI' && vbri + 18 <= b.length) {
+      return view.getUint32(vbri + 14) * perFrame / frame.rate;
+    }
+
+    const trailer = await hasID3v1(file) ? 128 : 0;
+    return (file.size - start - i - trailer) * 8 / (frame.bitrate * 1000);
+  }
+  return 0;
+}
+
+// Frame header at `i`, or null if the bytes there aren't one
+function mp3Frame(b, i) {
+  if (b[i] !== 0xff || (b[i + 1] & 0xe0) !== 0xe0) return null;
+  const version = (b[i + 1] >> 3) & 0x03;       // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layer = 4 - ((b[i + 1] >> 1) & 0x03);   // 1..3 (4 = reserved)
+  const bitrateIndex = b[i + 2] >> 4;
+  const rateIndex = (b[i + 2] >> 2) & 0x03;
+  if (version === 1 || layer === 4 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const table = version === 3 ? `V1L${layer}` : layer === 1 ? 'V2L1' : 'V2L2';
+  const bitrate = MP3_BITRATES[table][bitrateIndex];
+  const rate = MP3_RATES[version][rateIndex];
+  const padding = (b[i + 2] >> 1) & 0x01;
+  const length = layer === 1
+    ? (Math.floor(12000 * bitrate / rate) + padding) * 4
+    : Math.floor((layer === 3 && version !== 3 ? 72000 : 144000) * bitrate / rate) + padding;
+  return { version, layer, bitrate, rate, length, mono: (b[i + 3] >> 6) === 3 };
+}
+
+// --- Ogg (Vorbis / Opus) ---
+
+/**
+ * Granule position of the last page over the stream's sample rate. Opus
+ * always counts at 48 kHz and starts with `pre-skip` samples to drop.
+ */
+async function oggDuration(file) {
+  const head = await readBytes(file, 0, 512);
+  let rate = 0;
+  let preSkip = 0;
+  const vorbis = indexOf(head, '\x01vorbis');
+  const opus = indexOf(head, 'OpusHead');
+  if (vorbis >= 0) {
+    rate = new DataView(head.buffer).getUint32(vorbis + 12, true);
+  } else if (opus >= 0) {
+    rate = 48000;
+    preSkip = new DataView(head.buffer).getUint16(opus + 10, true);
+  }
+  if (!rate) return 0;
+
+  const tailStart = Math.max(0, file.size - OGG_TAIL);
+  const tail = await readBytes(file, tailStart, OGG_TAIL);
+  for (let i = tail.length - 14; i >= 0; i--) {
+    if (tail[i] !== 0x4f || ascii(tail, i, 4) !== 'OggS') continue;
+    const granule = Number(new DataView(tail.buffer).getBigInt64(i + 6, true));
+    if (granule > 0) return Math.max(0, granule - preSkip) / rate;
+  }
+  return 0;
+}
+
+// --- MP4 (M4A / M4B) ---
+
+// mvhd holds the movie's duration; the first track's mdhd stands in when
+// it's zero (fragmented or badly muxed files)
+async function mp4Duration(file) {
+  const buf = await readMoov(file);
+  if (!buf) return 0;
+  const view = new DataView(buf);
+  const start = view.getUint32(0) === 1 ? 16 : 8;
+
+  const fromHeader = (atom) => {
+    if (!atom) return 0;
+    const v1 = view.getUint8(atom.dataStart) === 1;
+    const timescale = view.getUint32(atom.dataStart + (v1 ? 20 : 12));
+    const duration = v1
+      ? Number(view.getBigUint64(atom.dataStart + 24))
+      : view.getUint32(atom.dataStart + 16);
+    return timescale ? duration / timescale : 0;
+  };
+
+  const mvhd = fromHeader(findAtom(view, start, buf.byteLength, 'mvhd'));
+  if (mvhd) return mvhd;
+
+  const trak = findAtom(view, start, buf.byteLength, 'trak');
+  const mdia = trak && findAtom(view, trak.dataStart, trak.end, 'mdia');
+  return fromHeader(mdia && findAtom(view, mdia.dataStart, mdia.end, 'mdhd'));
+}
+
+// --- WAV ---
+
+// Size of the data chunk over the byte rate from the fmt chunk
+async function wavDuration(file) {
+  const head = await readBytes(file, 0, 12);
+  if (ascii(head, 0, 4) !== 'RIFF' || ascii(head, 8, 4) !== 'WAVE') return 0;
+
+  let byteRate = 0;
+  let pos = 12;
+  while (pos + 8 <= file.size) {
+    const chunk = await readBytes(file, pos, 24);
+    const view = new DataView(chunk.buffer);
+    const id = ascii(chunk, 0, 4);
+    const size = view.getUint32(4, true);
+    if (id === 'fmt ' && chunk.length >= 20) {
+      byteRate = view.getUint32(16, true);
+    } else if (id === 'data') {
+      // Streamed recordings leave the size at 0 or 0xFFFFFFFF
+      const available = file.size - pos - 8;
+      const dataSize = size && size < 0xffffffff ? Math.min(size, available) : available;
+      return byteRate ? dataSize / byteRate : 0;
+    }
+    pos += 8 + size + (size & 1); // chunks are word-aligned
+  }
+  return 0;
+}
+
+// --- Shared ---
+// (fingerprint.js finds the audio stream with these too)
+
+export async function readBytes(file, start, length) {
+  return new Uint8Array(await file.slice(start, start + length).arrayBuffer());
+}
+
+// Bytes taken by a leading ID3v2 tag (header + body + optional footer)
+export async function id3v2Length(file) {
+  const b = await readBytes(file, 0, 10);
+  if (b.length < 10 || ascii(b, 0, 3) !== 'ID3') return 0;
+  const size = (b[6] << 21) | (b[7] << 14) | (b[8] << 7) | b[9];
+  return 10 + size + (b[5] & 0x10 ? 10 : 0);
+}
+
+export async function hasID3v1(file) {
+  if (file.size < 128) return false;
+  return ascii(await readBytes(file, file.size - 128, 3), 0, 3) === 'TAG';
+}
+
+export function ascii(bytes, start, length) {
+  let str = '';
+  for (let i = start; i < start + length && i < bytes.length; i++) str += String.fromCharCode(bytes[i]);
+  return str;
+}
+
+function indexOf(bytes, magic) {
+  outer: for (let i = 0; i + magic.length <= bytes.length; i++) {
+    for (let k = 0; k < magic.length; k++) {
+      if (bytes[i + k] !== magic.charCodeAt(k)) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
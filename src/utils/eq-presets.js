@@ -0,0 +1,17 @@
+// Built-in equalizer presets — dB per band, matching EQ_FREQUENCIES
+// (31, 62, 125, 250, 500, 1k, 2k, 4k, 8k, 16k Hz)
+
+export const BUILTIN_PRESETS = [
+  { name: 'Flat',         preamp: 0,  bands: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { name: 'Bass Boost',   preamp: -4, bands: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { name: 'Treble Boost', preamp: -4, bands: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  { name: 'Vocal',        preamp: -2, bands: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1] },
+  { name: 'Spoken Word',  preamp: -2, bands: [-4, -3, -1, 1, 3, 4, 3, 1, -1, -3] },
+  { name: 'Rock',         preamp: -3, bands: [4, 3, 2, 0, -1, -1, 1, 2, 3, 4] },
+  { name: 'Jazz',         preamp: -2, bands: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  { name: 'Classical',    preamp: -3, bands: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+  { name: 'Electronic',   preamp: -4, bands: [5, 4, 1, 0, -2, 1, 0, 1, 4, 5] },
+  { name: 'Late Night',   preamp: 0,  bands: [-3, -2, 0, 1, 2, 2, 1, 0, -1, -2] },
+];
+
+export const FLAT = BUILTIN_PRESETS[0];
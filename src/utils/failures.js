@@ -0,0 +1,10 @@
+// Why a track couldn't be played — the player's `track-error` reasons, and
+// the failure flag stored on track rows
+// Pure data, no DOM dependency
+
+export const FAILURE_MESSAGES = {
+  missing: 'file not found',
+  permission: 'file can\'t be read (permission lost?)',
+  decode: 'audio could not be decoded',
+  unsupported: 'format not supported',
+};
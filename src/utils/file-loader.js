@@ -1,6 +1,8 @@
 // File System Access API integration — folder picker + audio file scanning
-import { parseID3, pictureToURL } from './id3-parser.js';
-import { parseFLAC, parseOGG, parseM4A } from './metadata.js';
+import { readCue } from './cue-parser.js';
+import { cleanFilename, stripExtension, discFolderNumber } from './parse-file.js';
+import { createParsePool } from './parse-pool.js';
+import { albumUid, trackUid } from './ids.js';
 
 // Simple SVG placeholder for albums without cover art
 const PLACEHOLDER_COVER = `data:image/svg+xml,${encodeURIComponent(
@@ -15,7 +17,7 @@ const PLACEHOLDER_COVER = `data:image/svg+xml,${encodeURIComponent(
 
 // All audio formats the browser <audio> element can handle
 const AUDIO_EXTENSIONS = new Set([
-  '.mp3', '.m4a', '.aac', '.flac', '.ogg', '.opus', '.wav', '.webm',
+  '.mp3', '.m4a', '.m4b', '.aac', '.flac', '.ogg', '.opus', '.wav', '.webm',
 ]);
 
 const AUDIO_MIME_PREFIXES = ['audio/'];
@@ -32,14 +34,32 @@ function isAudioFile(fileOrName) {
   return false;
 }
 
+// CUE sheets describing one-file album images (or a few files per disc)
+function isCueFile(fileOrName) {
+  const name = typeof fileOrName === 'string' ? fileOrName : fileOrName.name;
+  return name.toLowerCase().endsWith('.cue');
+}
+
 const CONCURRENCY = 5;
+const PROGRESS_INTERVAL = 250; // ms between scan-progress events
+const STREAM_INTERVAL = 1000;  // ms between partial album lists
+
+/**
+ * Scan feedback for the UI:
+ * - `scan-progress` { phase: 'discover'|'parse', discovered, total, parsed, unchanged, failed }
+ * - `scan-albums` { albums, fileMap } — the library so far, each time album
+ *   folders finish parsing (throttled)
+ */
+export const scanEvents = new EventTarget();
 
 /**
  * Open a music folder, scan for audio files, extract metadata
+ * @param {{ signal?: AbortSignal, previous?: Array }} [options] — aborting rejects
+ *   with an AbortError; previous: the library so far (see rescanFolder)
  * @returns {Promise<{ albums, fileMap, dirHandle }|null>}
  */
-export async function openMusicFolder() {
-  const pickResult = await pickFiles();
+export async function openMusicFolder({ signal, previous = [] } = {}) {
+  const pickResult = await pickFiles(signal);
   if (!pickResult) return null; // user cancelled
 
   const { files, dirHandle } = pickResult;
@@ -47,7 +67,7 @@ export async function openMusicFolder() {
     return { albums: [], fileMap: new Map(), dirHandle }; // no files found (not cancel)
   }
 
-  const result = await processFiles(files);
+  const result = await processFiles(files, signal, previous);
   if (!result) {
     return { albums: [], fileMap: new Map(), dirHandle }; // files found but none were audio
   }
@@ -58,73 +78,195 @@ export async function openMusicFolder() {
 /**
  * Process files from a native <input type="file"> element
  * @param {FileList} fileList — from input.files
+ * @param {{ signal?: AbortSignal, previous?: Array }} [options] — see rescanFolder
  * @returns {Promise<{ albums, fileMap, dirHandle: null }|null>}
  */
-export async function processPickedFiles(fileList) {
+export async function processPickedFiles(fileList, { signal, previous = [] } = {}) {
   const files = [];
   for (const file of fileList) {
-    if (isAudioFile(file)) {
+    if (isAudioFile(file) || isCueFile(file)) {
       file._relativePath = file.webkitRelativePath || file.name;
       files.push(file);
     }
   }
 
-  console.log(`[file-loader] processPickedFiles: ${files.length} audio out of ${fileList.length} total`);
+  console.log(`[file-loader] processPickedFiles: ${files.length} audio/cue out of ${fileList.length} total`);
 
   if (files.length === 0) return null;
 
-  const result = await processFiles(files);
+  const result = await processFiles(files, signal, previous);
   if (!result) return null;
 
   return { albums: result.albums, fileMap: result.fileMap, dirHandle: null };
 }
 
 /**
- * Re-scan a stored directory handle without showing picker
+ * Re-scan a stored directory handle without showing picker. Files whose size
+ * and lastModified match a track of `previous` aren't read again; tracks keep
+ * their ids, moved or renamed files included.
  * @param {FileSystemDirectoryHandle} dirHandle
+ * @param {{ signal?: AbortSignal, previous?: Array }} [options] — previous: the library so far
  * @returns {Promise<{ albums, fileMap }|null>}
  */
-export async function rescanFolder(dirHandle) {
-  const files = await scanDirectory(dirHandle);
+export async function rescanFolder(dirHandle, { signal, previous = [] } = {}) {
+  const files = await scanDirectory(dirHandle, signal);
   if (!files || files.length === 0) return null;
 
-  return processFiles(files);
+  return processFiles(files, signal, previous);
 }
 
 /**
- * Process an array of File objects into albums + fileMap
+ * Process an array of File objects into albums + fileMap.
+ * Files are parsed folder by folder; an album folder's tracks join the
+ * library as soon as all of its files are in (see `scan-albums`).
  */
-async function processFiles(files) {
-  const audioFiles = files.filter(f => isAudioFile(f));
+async function processFiles(files, signal, previous = []) {
+  const audioFiles = files.filter(f => isAudioFile(f))
+    .sort((a, b) => pathOf(a).localeCompare(pathOf(b)));
   if (audioFiles.length === 0) return null;
 
   console.log(`[file-loader] Processing ${audioFiles.length} audio file(s)`);
 
   const fileMap = new Map();
+  const albumMap = new Map();
+  const cues = await matchCueSheets(files.filter(f => isCueFile(f)), audioFiles);
+  const known = knownFiles(previous);
+
+  // Known audio that's gone from its path: a new file with the same
+  // fingerprint is that track, moved or renamed
+  const present = new Set(audioFiles.map(pathOf));
+  const vanished = new Map(); // fingerprint → uids
+  for (const [path, fingerprint] of known.fingerprints) {
+    if (present.has(path)) continue;
+    if (!vanished.has(fingerprint)) vanished.set(fingerprint, []);
+    vanished.get(fingerprint).push(known.uids.get(path));
+  }
+  let relinked = 0;
+
+  // A path keeps its id even when its audio is replaced (re-encoded, gain
+  // applied…). New ids step past every id known or handed out already — a
+  // moved file's id was derived from the path it left, which may be filled again.
+  const used = new Set(known.uids.values());
+  const uidFor = (path, fingerprint) => {
+    if (known.uids.has(path)) return known.uids.get(path);
+    const moved = fingerprint && vanished.get(fingerprint)?.shift();
+    if (moved) {
+      relinked++;
+      return moved;
+    }
+    let uid = trackUid(path, fingerprint);
+    for (let salt = 1; used.has(uid); salt++) uid = trackUid(path, fingerprint, salt);
+    used.add(uid);
+    return uid;
+  };
+
+  // Files still to parse per album folder, and the results waiting on them
+  const remaining = new Map();
+  const waiting = new Map();
+  for (const file of audioFiles) {
+    const folder = albumFolder(pathOf(file));
+    remaining.set(folder, (remaining.get(folder) || 0) + 1);
+  }
 
-  const parsed = (await mapWithLimit(audioFiles, CONCURRENCY, async (file) => {
-    try {
-      const [tags, duration] = await Promise.all([
-        parseMetadata(file),
-        getDuration(file),
-      ]);
-      return { file, tags, duration };
-    } catch (e) {
-      console.warn(`[file-loader] skipping ${file.name}:`, e);
-      return null;
+  const progress = {
+    phase: 'parse', discovered: files.length, total: audioFiles.length, parsed: 0, unchanged: 0, failed: 0,
+  };
+  const report = throttle(() => emit('scan-progress', { ...progress }), PROGRESS_INTERVAL);
+  const stream = throttle(() => emit('scan-albums', { albums: buildAlbums(albumMap, known.covers), fileMap }), STREAM_INTERVAL);
+  report(true);
+
+  // Parsing happens in workers; this thread only assembles albums
+  const pool = createParsePool();
+  const stop = () => pool.close();
+  signal?.addEventListener('abort', stop, { once: true });
+  try {
+    await mapWithLimit(audioFiles, CONCURRENCY, async (file) => {
+      const path = pathOf(file);
+      let result = null;
+      const cached = known.files.get(path);
+      try {
+        // Scans from before fingerprints existed read the file once more to get one
+        if (cached && cached.size === file.size && cached.lastModified === file.lastModified
+          && cached.scan.fingerprint !== undefined) {
+          const { tags, duration, fingerprint } = cached.scan;
+          result = { file, tags, duration, fingerprint, uid: uidFor(path, fingerprint) };
+          progress.unchanged++;
+        } else {
+          const { tags, duration, fingerprint } = await pool.parse(file, path);
+          result = {
+            file, tags, fingerprint,
+            duration: duration || await mediaElementDuration(file),
+            uid: uidFor(path, fingerprint),
+          };
+          progress.parsed++;
+        }
+      } catch (e) {
+        if (signal?.aborted) throw signal.reason;
+        console.warn(`[file-loader] skipping ${file.name}:`, e);
+        progress.failed++;
+      }
+      report();
+
+      const folder = albumFolder(path);
+      if (!waiting.has(folder)) waiting.set(folder, []);
+      if (result) waiting.get(folder).push(result);
+      remaining.set(folder, remaining.get(folder) - 1);
+      if (remaining.get(folder) === 0) {
+        addToAlbums(albumMap, fileMap, waiting.get(folder), cues);
+        waiting.delete(folder);
+        if (!signal?.aborted) stream(); // a cancelled scan's stragglers stay off screen
+      }
+    }, signal);
+  } finally {
+    signal?.removeEventListener('abort', stop);
+    pool.close();
+  }
+
+  report(true);
+  console.log(`[file-loader] ${progress.parsed} read, ${progress.unchanged} unchanged, ${progress.failed} failed, ${relinked} moved`);
+  return { albums: buildAlbums(albumMap, known.covers), fileMap };
+}
+
+/**
+ * What a previous scan already knows, by audio file path: the parse result
+ * (with the size + lastModified it had), id and fingerprint of each file. Plus
+ * album covers — cached tags leave pictures out.
+ */
+function knownFiles(albums) {
+  const files = new Map();
+  const uids = new Map();
+  const fingerprints = new Map();
+  const covers = new Map();
+  for (const album of albums) {
+    if (!album.cover.startsWith('data:image/svg+xml')) covers.set(`${album.title}|||${album.artist}`, album.cover);
+    for (const t of album.tracks) {
+      const path = t.source || t.path;
+      if (t.scan && t.size != null) files.set(path, t);
+      if (t.uid) uids.set(path, t.uid.split('#')[0]); // CUE tracks are `<file uid>#n`
+      if (t.uid && t.scan?.fingerprint) fingerprints.set(path, t.scan.fingerprint);
     }
-  })).filter(Boolean);
+  }
+  return { files, uids, fingerprints, covers };
+}
 
-  const albumMap = new Map();
+/** Group parsed files (one album folder at a time) into album entries */
+function addToAlbums(albumMap, fileMap, parsed, cues) {
+  const folderArtists = albumArtistsByFolder(parsed, cues);
 
-  for (const { file, tags, duration } of parsed) {
-    const albumKey = `${tags.album || 'Unknown Album'}|||${tags.artist || 'Unknown Artist'}`;
+  for (const { file, tags, duration, fingerprint, uid } of parsed) {
+    const path = pathOf(file);
+    const cue = cues.get(path);
+    // A sheet's own title/performer beat the image's tags
+    const albumName = cue?.sheet.title || tags.album || 'Unknown Album';
+    const artistName = albumArtistOf(tags, cue) || folderArtists.get(folderKey(path, albumName));
+    const albumKey = `${albumName}|||${artistName}`;
 
     if (!albumMap.has(albumKey)) {
       albumMap.set(albumKey, {
-        albumName: tags.album || 'Unknown Album',
-        artistName: tags.artist || 'Unknown Artist',
+        albumName,
+        artistName,
         picture: null,
+        album: null,
         tracks: [],
       });
     }
@@ -135,39 +277,203 @@ async function processFiles(files) {
       entry.picture = tags.picture;
     }
 
-    const path = file._relativePath || file.name;
     fileMap.set(path, file);
 
+    // Lets the next rescan skip this file while it stays the same
+    const { picture, ...scanTags } = tags;
+    const stat = { size: file.size, lastModified: file.lastModified, scan: { tags: scanTags, duration, fingerprint } };
+
+    if (cue) {
+      entry.tracks.push(...cueTracks(cue, path, duration, artistName, tags)
+        .map(t => ({ ...t, uid: `${uid}#${t.trackNum}`, ...stat })));
+      continue;
+    }
+
     entry.tracks.push({
       title: tags.title || cleanFilename(file.name),
+      // Only worth showing when it isn't the album's artist (features, compilations)
+      artist: tags.artist && tags.artist !== artistName ? tags.artist : null,
       dur: formatDuration(duration),
       trackNum: parseTrackNumber(tags.track),
       path,
+      uid,
+      replayGain: tags.replayGain || null,
+      // One chapter is no navigation — only keep real chapter lists
+      chapters: tags.chapters?.length > 1 ? tags.chapters : null,
+      ...extendedTags(tags),
+      ...stat,
     });
   }
+}
 
+/**
+ * Album objects for the entries so far, sorted by title. Each entry keeps
+ * its album object (and cover URL) across calls, so streamed updates don't
+ * leak blob URLs or swap albums out from under the player.
+ */
+function buildAlbums(albumMap, covers) {
   const albums = [];
 
   for (const entry of albumMap.values()) {
+    // Disc first, so disc 2 track 1 doesn't land next to disc 1 track 1
     entry.tracks.sort((a, b) => {
-      if (a.trackNum !== b.trackNum) return a.trackNum - b.trackNum;
+      if ((a.disc || 1) !== (b.disc || 1)) return (a.disc || 1) - (b.disc || 1);
+      if (a.trackNum !== b.trackNum) return (a.trackNum ?? 9999) - (b.trackNum ?? 9999);
       return a.title.localeCompare(b.title);
     });
 
-    const cover = (entry.picture && pictureToURL(entry.picture))
-      || PLACEHOLDER_COVER;
+    if (!entry.album) {
+      entry.album = {
+        uid: albumUid(entry.artistName, entry.albumName),
+        title: entry.albumName,
+        artist: entry.artistName,
+        cover: PLACEHOLDER_COVER,
+        tracks: entry.tracks,
+      };
+    }
+    const album = entry.album;
+    if (album.cover === PLACEHOLDER_COVER) {
+      album.cover = (entry.picture && pictureToURL(entry.picture))
+        || covers.get(`${entry.albumName}|||${entry.artistName}`)
+        || PLACEHOLDER_COVER;
+    }
+    const albumTag = (key) => entry.tracks.find(t => t[key])?.[key] ?? null;
+    album.albumArtist = albumTag('albumArtist');
+    album.year = albumTag('year');
+    album.genre = albumTag('genre');
 
-    albums.push({
-      title: entry.albumName,
-      artist: entry.artistName,
-      cover,
-      tracks: entry.tracks.map(t => ({ title: t.title, dur: t.dur, path: t.path })),
-    });
+    albums.push(album);
   }
 
   albums.sort((a, b) => a.title.localeCompare(b.title));
+  return albums;
+}
+
+function emit(type, detail) {
+  scanEvents.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+// --- Album identity ---
+// Albums are keyed on title + album artist, so compilations and albums with
+// featured artists stay whole. Without an album artist tag, a folder's
+// tracks of one album title stay together, under "Various Artists" when their
+// track artists disagree.
+
+const VARIOUS_ARTISTS = 'Various Artists';
 
-  return { albums, fileMap };
+/** Album artist stated by the tags (or the CUE sheet), else null */
+function albumArtistOf(tags, cue) {
+  if (cue?.sheet.performer) return cue.sheet.performer;
+  if (tags.albumArtist?.trim()) return tags.albumArtist.trim();
+  if (isCompilation(tags.compilation)) return VARIOUS_ARTISTS;
+  return null;
+}
+
+// TCMP / COMPILATION / cpil — "1" (some taggers write "true")
+function isCompilation(flag) {
+  return flag === '1' || String(flag).toLowerCase() === 'true';
+}
+
+function folderKey(path, albumName) {
+  return `${albumFolder(path)}|||${albumName}`;
+}
+
+/**
+ * Artist for every folder + album title whose tracks name no album artist:
+ * their shared track artist, or Various Artists when they disagree
+ * @returns {Map<string, string>} folderKey → artist
+ */
+function albumArtistsByFolder(parsed, cues) {
+  const seen = new Map();
+  for (const { file, tags } of parsed) {
+    const path = pathOf(file);
+    const cue = cues.get(path);
+    if (albumArtistOf(tags, cue)) continue;
+    const key = folderKey(path, cue?.sheet.title || tags.album || 'Unknown Album');
+    if (!seen.has(key)) seen.set(key, new Set());
+    seen.get(key).add(tags.artist || 'Unknown Artist');
+  }
+
+  const artists = new Map();
+  for (const [key, names] of seen) {
+    artists.set(key, names.size === 1 ? [...names][0] : VARIOUS_ARTISTS);
+  }
+  return artists;
+}
+
+// --- CUE sheets ---
+
+/**
+ * Pair CUE sheets with the audio files they describe.
+ * @returns {Promise<Map<string, { sheet, tracks }>>} audio path → its sheet and
+ *   the sheet's tracks inside that file
+ */
+async function matchCueSheets(cueFiles, audioFiles) {
+  const matches = new Map();
+  if (cueFiles.length === 0) return matches;
+  const paths = audioFiles.map(f => f._relativePath || f.name);
+
+  for (const cueFile of cueFiles) {
+    const sheet = await readCue(cueFile);
+    if (!sheet || sheet.files.length === 0) continue;
+
+    const cuePath = cueFile._relativePath || cueFile.name;
+    const dir = cuePath.slice(0, cuePath.lastIndexOf('/') + 1);
+    const siblings = paths.filter(p => p.startsWith(dir) && !p.slice(dir.length).includes('/'));
+
+    for (const f of sheet.files) {
+      const path = resolveCueFile(f.name, dir, siblings, sheet.files.length);
+      if (!path) {
+        console.warn(`[file-loader] ${cuePath}: no audio file for "${f.name}"`);
+      } else if (!matches.has(path)) {
+        matches.set(path, { sheet, tracks: f.tracks });
+      }
+    }
+  }
+
+  console.log(`[file-loader] ${matches.size} audio file(s) split by CUE sheets`);
+  return matches;
+}
+
+// Exact name first. Rips are often re-encoded without fixing the sheet
+// (image.wav → image.flac), and a lone image next to a one-file sheet is safe.
+function resolveCueFile(name, dir, siblings, fileCount) {
+  const base = name.replace(/\\/g, '/').split('/').pop();
+  if (siblings.includes(dir + base)) return dir + base;
+
+  const stem = stripExtension(base).toLowerCase();
+  const sameStem = siblings.find(p => stripExtension(p.slice(dir.length)).toLowerCase() === stem);
+  if (sameStem) return sameStem;
+
+  if (fileCount === 1 && siblings.length === 1) return siblings[0];
+  return null;
+}
+
+/**
+ * Virtual tracks for one audio file of a CUE sheet. Each gets its own path
+ * (`file#n`, its identity for the queue, bookmarks, …) and points at the real
+ * file through `source`, with `start`/`end` offsets in seconds.
+ */
+function cueTracks({ sheet, tracks }, path, duration, artistName, tags) {
+  return tracks.map(t => ({
+    title: t.title || `Track ${t.number}`,
+    artist: t.performer && t.performer !== artistName ? t.performer : null,
+    dur: formatDuration((t.end ?? duration) - t.start),
+    trackNum: t.number,
+    path: `${path}#${t.number}`,
+    source: path,
+    start: t.start,
+    end: t.end,
+    replayGain: (t.replayGain || sheet.replayGain)
+      ? { ...sheet.replayGain, ...t.replayGain }
+      : tags.replayGain || null,
+    ...extendedTags({
+      ...tags,
+      year: sheet.year || tags.year,
+      genre: sheet.genre || tags.genre,
+      composer: t.composer || sheet.composer || tags.composer,
+    }),
+  }));
 }
 
 // --- File picking ---
@@ -175,14 +481,15 @@ async function processFiles(files) {
 // Track whether webkitdirectory has failed so we skip it on retry
 let folderModeFailed = false;
 
-async function pickFiles() {
+async function pickFiles(signal) {
   // Desktop Chrome/Edge: use File System Access API (supports persist + rescan)
   if (window.showDirectoryPicker) {
     try {
       const dirHandle = await window.showDirectoryPicker();
-      const files = await scanDirectory(dirHandle);
+      const files = await scanDirectory(dirHandle, signal);
       return { files, dirHandle };
     } catch (e) {
+      if (signal?.aborted) throw signal.reason; // scan cancelled, not the picker
       if (e.name === 'AbortError') return null;
       console.warn('[file-loader] Directory picker failed:', e.message);
       return null;
@@ -239,7 +546,7 @@ function pickFilesViaInput(folderMode) {
 
       const files = [];
       for (const file of input.files) {
-        if (isAudioFile(file)) {
+        if (isAudioFile(file) || isCueFile(file)) {
           file._relativePath = file.webkitRelativePath || file.name;
           files.push(file);
         }
@@ -265,16 +572,21 @@ function pickFilesViaInput(folderMode) {
   });
 }
 
-async function scanDirectory(dirHandle) {
+async function scanDirectory(dirHandle, signal) {
   const files = [];
+  const report = throttle(() => emit('scan-progress', {
+    phase: 'discover', discovered: files.length, total: 0, parsed: 0, failed: 0,
+  }), PROGRESS_INTERVAL);
 
   async function walk(handle, prefix) {
     for await (const entry of handle.values()) {
+      signal?.throwIfAborted();
       const path = prefix ? `${prefix}/${entry.name}` : entry.name;
-      if (entry.kind === 'file' && isAudioFile(entry.name)) {
+      if (entry.kind === 'file' && (isAudioFile(entry.name) || isCueFile(entry.name))) {
         const file = await entry.getFile();
         file._relativePath = path;
         files.push(file);
+        report();
       } else if (entry.kind === 'directory') {
         await walk(entry, path);
       }
@@ -282,13 +594,17 @@ async function scanDirectory(dirHandle) {
   }
 
   await walk(dirHandle, '');
-  console.log(`[file-loader] Scanned directory, found ${files.length} audio file(s)`);
+  console.log(`[file-loader] Scanned directory, found ${files.length} audio/cue file(s)`);
   return files;
 }
 
-// --- Duration via Audio API ---
+// --- Duration ---
 
-function getDuration(file) {
+/**
+ * Last resort for formats (or files) whose container header the parse
+ * workers couldn't read — a hidden <audio> element, main thread only
+ */
+function mediaElementDuration(file) {
   return new Promise((resolve) => {
     const url = URL.createObjectURL(file);
     const audio = new Audio();
@@ -311,12 +627,13 @@ function getDuration(file) {
 
 // --- Helpers ---
 
-async function mapWithLimit(items, limit, fn) {
+/** Run `fn` over `items`, `limit` at a time; aborting stops handing out new items */
+async function mapWithLimit(items, limit, fn, signal) {
   const results = new Array(items.length);
   let index = 0;
 
   async function worker() {
-    while (index < items.length) {
+    while (index < items.length && !signal?.aborted) {
       const i = index++;
       results[i] = await fn(items[i]);
     }
@@ -324,9 +641,35 @@ async function mapWithLimit(items, limit, fn) {
 
   const workers = Array.from({ length: Math.min(limit, items.length) }, () => worker());
   await Promise.all(workers);
+  signal?.throwIfAborted();
   return results;
 }
 
+/** Call `fn` at most every `interval` ms (`fn(true)`-style callers force it) */
+function throttle(fn, interval) {
+  let last = -Infinity;
+  return (force = false) => {
+    const now = performance.now();
+    if (!force && now - last < interval) return;
+    last = now;
+    fn();
+  };
+}
+
+function pathOf(file) {
+  return file._relativePath || file.name;
+}
+
+/**
+ * Convert an extracted picture ({ mime, data }) to a blob URL. Done here
+ * rather than in the workers: blob URLs die with the context that made them.
+ */
+function pictureToURL(picture) {
+  if (!picture || !picture.data) return null;
+  const blob = new Blob([picture.data], { type: picture.mime || 'image/jpeg' });
+  return URL.createObjectURL(blob);
+}
+
 function formatDuration(seconds) {
   if (!seconds || seconds <= 0) return '0:00';
   const m = Math.floor(seconds / 60);
@@ -335,69 +678,30 @@ function formatDuration(seconds) {
 }
 
 function parseTrackNumber(track) {
-  if (!track) return 9999;
+  if (!track) return null;
   const n = parseInt(track, 10);
-  return isNaN(n) ? 9999 : n;
+  return isNaN(n) ? null : n;
 }
 
-function cleanFilename(name) {
-  if (!name) return 'Unknown Track';
-  return name
-    .replace(/\.\w+$/i, '') // strip any audio extension
-    .replace(/^\d+[\s._-]+/, ''); // strip leading track numbers
+// Folder path of a file, leaving out a disc subfolder (Album/CD1/ → Album/)
+function albumFolder(path) {
+  const parts = path.split('/').slice(0, -1);
+  if (parts.length && discFolderNumber(parts[parts.length - 1])) parts.pop();
+  return parts.length ? `${parts.join('/')}/` : '';
 }
 
 /**
- * Pick the right metadata parser based on file extension.
- * Falls back to folder-structure tags if the parser finds nothing.
+ * Year, genre, album artist, disc and composer as stored on tracks —
+ * parsers hand over raw strings ("2/3", "1999-04-01", …)
  */
-async function parseMetadata(file) {
-  const name = file.name.toLowerCase();
-  let tags = null;
-
-  if (name.endsWith('.mp3')) {
-    tags = await parseID3(file);
-  } else if (name.endsWith('.flac')) {
-    tags = await parseFLAC(file);
-  } else if (name.endsWith('.ogg') || name.endsWith('.opus')) {
-    tags = await parseOGG(file);
-  } else if (name.endsWith('.m4a') || name.endsWith('.aac')) {
-    tags = await parseM4A(file);
-  }
-
-  // If parser returned nothing useful, derive from path
-  if (!tags || (!tags.title && !tags.artist && !tags.album)) {
-    tags = tagsFromPath(file);
-  }
-
-  return tags;
-}
-
-/**
- * Extract metadata from the file's relative path (folder structure).
- * Handles patterns like:  Artist/Album/01 - Title.flac
- *                          Album/01 Title.m4a
- *                          Title.ogg
- */
-function tagsFromPath(file) {
-  const path = file._relativePath || file.name;
-  const parts = path.split('/');
-  const filename = parts[parts.length - 1];
-
-  const title = cleanFilename(filename) || null;
-  let artist = null;
-  let album = null;
-  let track = null;
-
-  const trackMatch = filename.match(/^(\d+)/);
-  if (trackMatch) track = trackMatch[1];
-
-  if (parts.length >= 3) {
-    artist = parts[parts.length - 3];
-    album = parts[parts.length - 2];
-  } else if (parts.length === 2) {
-    album = parts[0];
-  }
-
-  return { title, artist, album, track, picture: null };
+function extendedTags(tags) {
+  const disc = parseInt(tags.disc, 10);
+  const year = /\d{4}/.exec(tags.year || '');
+  return {
+    albumArtist: tags.albumArtist?.trim() || null,
+    disc: disc > 0 ? disc : null,
+    year: year ? Number(year[0]) : null,
+    genre: tags.genre?.trim() || null,
+    composer: tags.composer?.trim() || null,
+  };
 }
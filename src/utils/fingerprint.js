@@ -0,0 +1,123 @@
+// Content fingerprints — recognise a file by its audio rather than its name
+// or tags. Only bytes of the audio stream are hashed, never the tag blocks
+// around it, so a renamed, moved or retagged file keeps its fingerprint.
+// Pure functions, no DOM dependency
+import { readBytes, id3v2Length, hasID3v1, ascii } from './duration.js';
+
+const SAMPLE = 64 * 1024; // hashed from the start and from the middle of the audio
+
+/**
+ * @param {File} file
+ * @returns {Promise<string|null>} hex SHA-1, null when the audio can't be
+ *   located or hashing isn't available (insecure context)
+ */
+export async function audioFingerprint(file) {
+  const name = file.name.toLowerCase();
+  try {
+    const range = await audioRange(file, name);
+    const length = range.end - range.start;
+    if (length <= 0) return null;
+
+    const middle = range.start + Math.floor(length / 2);
+    const head = await readBytes(file, range.start, Math.min(SAMPLE, length));
+    const mid = await readBytes(file, middle, Math.min(SAMPLE, range.end - middle));
+
+    // The audio's length goes in too — two cuts of one recording share a start
+    const bytes = new Uint8Array(8 + head.length + mid.length);
+    new DataView(bytes.buffer).setFloat64(0, length);
+    bytes.set(head, 8);
+    bytes.set(mid, 8 + head.length);
+
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-1', bytes));
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+  } catch (e) {
+    console.warn(`[fingerprint] ${file.name}:`, e.message);
+    return null;
+  }
+}
+
+// --- Audio ranges ---
+
+/** Byte range of the audio stream → { start, end } (whole file when unknown) */
+async function audioRange(file, name) {
+  if (name.endsWith('.mp3')) return mp3Range(file);
+  if (name.endsWith('.flac')) return flacRange(file);
+  if (name.endsWith('.ogg') || name.endsWith('.opus')) return oggRange(file);
+  if (name.endsWith('.m4a') || name.endsWith('.m4b') || name.endsWith('.aac')) return mp4Range(file);
+  if (name.endsWith('.wav')) return wavRange(file);
+  return { start: 0, end: file.size };
+}
+
+// Between a leading ID3v2 tag and an ID3v1 trailer
+async function mp3Range(file) {
+  const start = await id3v2Length(file);
+  const end = file.size - (await hasID3v1(file) ? 128 : 0);
+  return { start, end };
+}
+
+// Frames follow the last metadata block (comments and pictures included)
+async function flacRange(file) {
+  let pos = await id3v2Length(file) + 4; // past "fLaC"
+  while (pos + 4 <= file.size) {
+    const b = await readBytes(file, pos, 4);
+    pos += 4 + ((b[1] << 16) | (b[2] << 8) | b[3]);
+    if (b[0] & 0x80) break; // last-metadata-block flag
+  }
+  return { start: pos, end: file.size };
+}
+
+// From the first page with a granule position — header pages (comments,
+// pictures) have none. Page sequence numbers are part of the page, so a tag
+// edit that adds header pages does change the fingerprint.
+async function oggRange(file) {
+  let pos = 0;
+  while (pos + 27 <= file.size) {
+    const b = await readBytes(file, pos, 27 + 255);
+    if (ascii(b, 0, 4) !== 'OggS') break;
+    const granule = new DataView(b.buffer).getBigInt64(6, true);
+    if (granule > 0n) return { start: pos, end: file.size };
+
+    const segments = b[26];
+    let size = 27 + segments;
+    for (let i = 0; i < segments; i++) size += b[27 + i];
+    pos += size;
+  }
+  return { start: 0, end: file.size };
+}
+
+// The mdat atom's payload
+async function mp4Range(file) {
+  let pos = 0;
+  while (pos + 8 <= file.size) {
+    const head = await readBytes(file, pos, 16);
+    const view = new DataView(head.buffer);
+    let size = view.getUint32(0);
+    let header = 8;
+    if (size === 1 && head.length >= 16) {
+      size = Number(view.getBigUint64(8));
+      header = 16;
+    } else if (size === 0) {
+      size = file.size - pos; // runs to end of file
+    }
+    if (size < header) break;
+
+    if (ascii(head, 4, 4) === 'mdat') return { start: pos + header, end: Math.min(pos + size, file.size) };
+    pos += size;
+  }
+  return { start: 0, end: file.size };
+}
+
+// The data chunk — LIST/INFO tags are chunks of their own
+async function wavRange(file) {
+  let pos = 12; // past "RIFF" size "WAVE"
+  while (pos + 8 <= file.size) {
+    const chunk = await readBytes(file, pos, 8);
+    const size = new DataView(chunk.buffer).getUint32(4, true);
+    if (ascii(chunk, 0, 4) === 'data') {
+      const available = file.size - pos - 8;
+      return { start: pos + 8, end: pos + 8 + (size && size < 0xffffffff ? Math.min(size, available) : available) };
+    }
+    pos += 8 + size + (size & 1); // chunks are word-aligned
+  }
+  return { start: 0, end: file.size };
+}
@@ -1,105 +1,245 @@
-// Minimal ID3v2.3 / v2.4 parser — pure vanilla JS, no dependencies
-// Reads only the tag header bytes from the file (not the whole file)
+// Minimal ID3 parser — v2.2 / v2.3 / v2.4 with an ID3v1 / v1.1 fallback
+// Pure vanilla JS, no dependencies. Reads only the tag bytes, not the whole file
+import { applyReplayGainTag } from './replaygain.js';
+import { genreName } from './id3-genres.js';
+
+// v2.2 uses 3-letter frame IDs — mapped to their v2.3 names
+const V22_FRAMES = {
+  TT2: 'TIT2', TP1: 'TPE1', TP2: 'TPE2', TAL: 'TALB', TRK: 'TRCK', TPA: 'TPOS',
+  TYE: 'TYER', TCO: 'TCON', TCM: 'TCOM', TCP: 'TCMP', TXX: 'TXXX', PIC: 'APIC',
+};
+// Text frames → tag model field (TDRC is v2.4's recording time, TYER v2.3's
+// year; TCMP is iTunes' compilation flag)
+const TEXT_FRAMES = {
+  TIT2: 'title', TPE1: 'artist', TPE2: 'albumArtist', TALB: 'album', TRCK: 'track',
+  TPOS: 'disc', TYER: 'year', TDRC: 'year', TCON: 'genre', TCOM: 'composer',
+  TCMP: 'compilation',
+};
+const WANTED = new Set([...Object.keys(TEXT_FRAMES), 'APIC', 'TXXX', 'CHAP', 'CTOC']);
+const TEXT_FIELDS = ['title', 'artist', 'album', 'track', 'year', 'genre'];
 
 /**
- * Parse ID3v2 tags from an MP3 File object
+ * Parse ID3 tags from an MP3 File object.
+ * Precedence: the ID3v2 tag (any of v2.2–v2.4) wins field by field; an
+ * ID3v1.1 / v1 trailer only fills fields it left empty or when it is absent.
  * @param {File} file
- * @returns {Promise<{ title, artist, album, track, picture }>}
+ * @returns {Promise<{ title, artist, album, albumArtist, track, disc, year, genre,
+ *   composer, compilation, picture, replayGain, chapters }>}
  */
 export async function parseID3(file) {
-  const result = { title: null, artist: null, album: null, track: null, picture: null };
+  const result = {
+    title: null, artist: null, album: null, albumArtist: null,
+    track: null, disc: null, year: null, genre: null, composer: null,
+    compilation: null, picture: null, replayGain: null, chapters: null,
+  };
 
-  // Read the 10-byte ID3 header
-  let headerBuf;
   try {
-    headerBuf = await readSlice(file, 0, 10);
+    // Tags normally lead the file; v2.4 also allows one appended at the end
+    if (!await readID3v2(file, result)) {
+      const appended = await findAppendedTag(file);
+      if (appended >= 0) await readID3v2(file, result, appended);
+    }
+    if (TEXT_FIELDS.some(k => !result[k])) {
+      const v1 = await readID3v1(file);
+      if (v1) for (const k of TEXT_FIELDS) result[k] = result[k] || v1[k];
+    }
   } catch {
-    return result; // File unreadable (permission lost, etc.)
+    // File unreadable (permission lost, etc.) — keep whatever was read
   }
-  if (headerBuf.byteLength < 10) return result;
+  return result;
+}
+
+// --- ID3v2 ---
+
+/**
+ * Parse the ID3v2 tag whose header starts at `start` into `result`
+ * @returns {Promise<boolean>} false if there is no tag there
+ */
+async function readID3v2(file, result, start = 0) {
+  // Read the 10-byte ID3 header
+  const headerBuf = await readSlice(file, start, 10);
+  if (headerBuf.byteLength < 10) return false;
   const header = new DataView(headerBuf);
 
   // Check "ID3" magic
-  if (
-    header.getUint8(0) !== 0x49 || // I
-    header.getUint8(1) !== 0x44 || // D
-    header.getUint8(2) !== 0x33    // 3
-  ) {
-    return result; // No ID3 tag
-  }
+  if (!hasMagic(header, 'ID3')) return false; // No ID3v2 tag
 
-  const major = header.getUint8(3); // 3 or 4
-  if (major < 3 || major > 4) return result;
+  const major = header.getUint8(3); // 2, 3 or 4
+  if (major < 2 || major > 4) return false;
 
   const flags = header.getUint8(5);
   const tagSize = decodeSyncsafe(header, 6);
+  const unsync = !!(flags & 0x80);
+
+  // v2.2 bit 6 is whole-tag compression, which was never specified — skip it
+  if (major === 2 && (flags & 0x40)) return true;
+
+  // Read the entire tag body. Before v2.4 unsynchronisation covers all of
+  // it, frame headers included, so it's undone up front
+  const tagBytes = new Uint8Array(await readSlice(file, start + 10, tagSize));
+  let bytes = unsync && major < 4 ? resync(tagBytes) : tagBytes;
+  let body = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
 
-  // Skip extended header if present
-  let offset = 10;
-  if (flags & 0x40) {
-    const extBuf = await readSlice(file, 10, 4);
-    const extView = new DataView(extBuf);
+  // Skip extended header if present (v2.3+)
+  if (major > 2 && (flags & 0x40) && bytes.length >= 4) {
     const extSize = major === 4
-      ? decodeSyncsafe(extView, 0)
-      : extView.getUint32(0);
-    offset += extSize;
+      ? decodeSyncsafe(body, 0)
+      : body.getUint32(0) + 4; // v2.3 size excludes its own 4 bytes
+    bytes = bytes.subarray(extSize);
+    body = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
   }
-
-  // Read the entire tag body
-  const tagEnd = 10 + tagSize;
-  const bodyBuf = await readSlice(file, offset, tagEnd - offset);
-  const body = new DataView(bodyBuf);
   let pos = 0;
 
-  const WANTED = new Set(['TIT2', 'TPE1', 'TALB', 'TRCK', 'APIC']);
+  // v2.2 frame headers are 6 bytes (3-byte ID, 3-byte size), later ones 10
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  const chapters = [];
+  const tocs = [];
 
-  while (pos + 10 <= body.byteLength) {
-    const frameId = String.fromCharCode(
-      body.getUint8(pos), body.getUint8(pos + 1),
-      body.getUint8(pos + 2), body.getUint8(pos + 3)
-    );
+  while (pos + headerLength <= bytes.length) {
+    let frameId = '';
+    for (let i = 0; i < idLength; i++) frameId += String.fromCharCode(bytes[pos + i]);
 
     // Stop on padding (null bytes)
     if (frameId[0] === '\0') break;
 
-    const frameSize = major === 4
-      ? decodeSyncsafe(body, pos + 4)
-      : body.getUint32(pos + 4);
+    let frameSize;
+    if (major === 2) {
+      frameSize = (bytes[pos + 3] << 16) | body.getUint16(pos + 4);
+      frameId = V22_FRAMES[frameId] || frameId;
+    } else {
+      frameSize = major === 4
+        ? decodeSyncsafe(body, pos + 4)
+        : body.getUint32(pos + 4);
+    }
 
-    // const frameFlags = body.getUint16(pos + 8);
-    pos += 10;
+    const frameFlags = major === 2 ? 0 : body.getUint16(pos + 8);
+    pos += headerLength;
+
+    if (frameSize === 0 || pos + frameSize > bytes.length) break;
+
+    const frameData = WANTED.has(frameId)
+      ? await frameContent(bytes.subarray(pos, pos + frameSize), frameFlags, major, unsync)
+      : null;
+    pos += frameSize;
+    if (!frameData) continue; // not wanted, encrypted or undecodable
+
+    if (frameId === 'APIC') {
+      result.picture = major === 2 ? parsePIC(frameData) : parseAPIC(frameData);
+    } else if (frameId === 'TXXX') {
+      const { description, value } = parseTXXX(frameData);
+      applyReplayGainTag(result, description, value);
+    } else if (frameId === 'CHAP') {
+      const chapter = parseCHAP(frameData, major);
+      if (chapter) chapters.push(chapter);
+    } else if (frameId === 'CTOC') {
+      const toc = parseCTOC(frameData);
+      if (toc) tocs.push(toc);
+    } else {
+      const text = decodeTextFrame(frameData);
+      result[TEXT_FRAMES[frameId]] = frameId === 'TCON' ? genreName(text) : text;
+    }
+  }
 
-    if (frameSize === 0 || pos + frameSize > body.byteLength) break;
+  if (chapters.length) result.chapters = orderChapters(chapters, tocs);
+  return true;
+}
 
-    if (WANTED.has(frameId)) {
-      const frameData = new Uint8Array(bodyBuf, pos, frameSize);
+/**
+ * Header offset of a v2.4 tag appended at the end of the file, found by
+ * its "3DI" footer — which sits either last or just before an ID3v1 trailer
+ * @returns {Promise<number>} -1 if there is none
+ */
+async function findAppendedTag(file) {
+  for (const end of [file.size, file.size - 128]) {
+    if (end < 20) continue;
+    const footer = new DataView(await readSlice(file, end - 10, 10));
+    if (hasMagic(footer, '3DI')) return end - 20 - decodeSyncsafe(footer, 6);
+  }
+  return -1;
+}
 
-      if (frameId === 'APIC') {
-        result.picture = parseAPIC(frameData);
-      } else {
-        const text = decodeTextFrame(frameData);
-        if (frameId === 'TIT2') result.title = text;
-        else if (frameId === 'TPE1') result.artist = text;
-        else if (frameId === 'TALB') result.album = text;
-        else if (frameId === 'TRCK') result.track = text;
-      }
+/**
+ * Undo per-frame encodings and strip the bytes frame flags add in front of
+ * the content (grouping ID, decompressed size / data length indicator)
+ * @returns {Promise<Uint8Array|null>} null for encrypted or broken frames
+ */
+async function frameContent(data, flags, major, tagUnsync) {
+  let compressed = false;
+  let unsync = false;
+
+  if (major === 4) {
+    // %0abc0000 %0h00kmnp — h grouping, k compression, m encryption,
+    // n unsynchronisation, p data length indicator
+    if (flags & 0x0004) return null;
+    let skip = 0;
+    if (flags & 0x0040) skip += 1;
+    if (flags & 0x0001) skip += 4;
+    data = data.subarray(skip);
+    compressed = !!(flags & 0x0008);
+    unsync = tagUnsync || !!(flags & 0x0002);
+  } else if (major === 3) {
+    // %abc00000 %ijk00000 — i compression (+4 byte size), j encryption, k grouping
+    if (flags & 0x0040) return null;
+    compressed = !!(flags & 0x0080);
+    data = data.subarray((compressed ? 4 : 0) + (flags & 0x0020 ? 1 : 0));
+  }
+
+  if (unsync) data = resync(data);
+  if (compressed) {
+    try {
+      data = await inflate(data);
+    } catch {
+      return null;
     }
+  }
+  return data;
+}
 
-    pos += frameSize;
+/** Reverse unsynchronisation — drop the 0x00 stuffed after every 0xFF */
+function resync(data) {
+  const out = new Uint8Array(data.length);
+  let n = 0;
+  for (let i = 0; i < data.length; i++) {
+    out[n++] = data[i];
+    if (data[i] === 0xff && data[i + 1] === 0x00) i++;
   }
+  return out.subarray(0, n);
+}
 
-  return result;
+/** zlib-inflate a compressed frame */
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
 }
 
+function hasMagic(view, magic) {
+  return [...magic].every((c, i) => view.getUint8(i) === c.charCodeAt(0));
+}
+
+// --- ID3v1 ---
+
 /**
- * Convert an extracted APIC picture object to a blob URL
- * @param {{ mime: string, data: Uint8Array }} picture
- * @returns {string} blob URL
+ * Read the fixed 128-byte trailer: "TAG" + title(30) + artist(30) +
+ * album(30) + year(4) + comment(30) + genre(1). v1.1 steals the last two
+ * comment bytes for a zero byte and the track number.
+ * @returns {Promise<{ title, artist, album, track, year, genre }|null>}
  */
-export function pictureToURL(picture) {
-  if (!picture || !picture.data) return null;
-  const blob = new Blob([picture.data], { type: picture.mime || 'image/jpeg' });
-  return URL.createObjectURL(blob);
+async function readID3v1(file) {
+  if (file.size < 128) return null;
+  const data = new Uint8Array(await readSlice(file, file.size - 128, 128));
+  if (data[0] !== 0x54 || data[1] !== 0x41 || data[2] !== 0x47) return null; // "TAG"
+
+  const field = (start, length) => decodeLatin1(data.subarray(start, start + length)).trim() || null;
+  const v11 = data[125] === 0 && data[126] !== 0;
+  return {
+    title: field(3, 30),
+    artist: field(33, 30),
+    album: field(63, 30),
+    track: v11 ? String(data[126]) : null,
+    year: field(93, 4),
+    genre: genreName(data[127]), // 255 = unset
+  };
 }
 
 // --- Internal helpers ---
@@ -128,6 +268,125 @@ function decodeTextFrame(data) {
   return decodeString(textBytes, encoding).trim();
 }
 
+/**
+ * Parse TXXX (user-defined text) frame — how ReplayGain is stored in ID3
+ * Layout: encoding(1) + description(null-terminated) + value
+ */
+function parseTXXX(data) {
+  if (data.length < 2) return { description: '', value: '' };
+  const encoding = data[0];
+  const body = data.subarray(1);
+  const valueStart = skipTerminated(body, 0, encoding);
+  return {
+    description: decodeString(body.subarray(0, valueStart), encoding).trim(),
+    value: decodeString(body.subarray(valueStart), encoding).trim(),
+  };
+}
+
+/**
+ * Parse CHAP (chapter) frame
+ * Layout: element ID(null-terminated) + start ms(4) + end ms(4) + start/end
+ * byte offsets(4+4) + optional sub-frames (TIT2 holds the title)
+ */
+function parseCHAP(data, major) {
+  const idEnd = skipTerminated(data, 0, 0);
+  if (idEnd + 16 > data.length) return null;
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const sub = parseSubframes(data.subarray(idEnd + 16), major);
+  return {
+    id: decodeLatin1(data.subarray(0, idEnd)),
+    title: sub.TIT2 || null,
+    start: view.getUint32(idEnd) / 1000,
+  };
+}
+
+/**
+ * Parse CTOC (table of contents) frame
+ * Layout: element ID(null-terminated) + flags(1) + entry count(1) + child IDs
+ * Flag 0x02 marks the top-level table
+ */
+function parseCTOC(data) {
+  const idEnd = skipTerminated(data, 0, 0);
+  if (idEnd + 2 > data.length) return null;
+  const flags = data[idEnd];
+  const count = data[idEnd + 1];
+  const children = [];
+  let pos = idEnd + 2;
+  for (let i = 0; i < count && pos < data.length; i++) {
+    const end = skipTerminated(data, pos, 0);
+    children.push(decodeLatin1(data.subarray(pos, end)));
+    pos = end;
+  }
+  return { topLevel: !!(flags & 0x02), children };
+}
+
+/** Text sub-frames embedded in a CHAP/CTOC frame → { frameId: text } */
+function parseSubframes(data, major) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const frames = {};
+  let pos = 0;
+  while (pos + 10 <= data.length) {
+    const id = String.fromCharCode(data[pos], data[pos + 1], data[pos + 2], data[pos + 3]);
+    if (id[0] === '\0') break;
+    const size = major === 4 ? decodeSyncsafe(view, pos + 4) : view.getUint32(pos + 4);
+    pos += 10;
+    if (pos + size > data.length) break;
+    if (id[0] === 'T' && id !== 'TXXX') frames[id] = decodeTextFrame(data.subarray(pos, pos + size));
+    pos += size;
+  }
+  return frames;
+}
+
+/**
+ * Chapters in the top-level table's order when there is one, by start
+ * time otherwise
+ * @returns {Array<{ title, start }>}
+ */
+function orderChapters(chapters, tocs) {
+  const top = tocs.find(t => t.topLevel);
+  const byId = new Map(chapters.map(c => [c.id, c]));
+  const ordered = top
+    ? top.children.map(id => byId.get(id)).filter(Boolean)
+    : [...chapters].sort((a, b) => a.start - b.start);
+  return (ordered.length ? ordered : chapters).map((c, i) => ({
+    title: c.title || `Chapter ${i + 1}`,
+    start: c.start,
+  }));
+}
+
+/**
+ * Position just past a null-terminated string starting at `pos`
+ * (double-null for UTF-16 encodings)
+ */
+function skipTerminated(data, pos, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    while (pos + 1 < data.length) {
+      if (data[pos] === 0 && data[pos + 1] === 0) return pos + 2;
+      pos += 2;
+    }
+    return data.length;
+  }
+  while (pos < data.length && data[pos] !== 0) pos++;
+  return Math.min(pos + 1, data.length);
+}
+
+/**
+ * Parse v2.2 PIC frame — like APIC, but with a 3-letter image format
+ * ("JPG", "PNG") instead of a MIME type
+ * Layout: encoding(1) + format(3) + picType(1) + description(null-terminated) + imageData
+ */
+function parsePIC(data) {
+  if (data.length < 6) return null;
+  const encoding = data[0];
+  const format = decodeLatin1(data.subarray(1, 4)).toLowerCase();
+  const pos = skipTerminated(data, 5, encoding);
+  if (pos >= data.length) return null;
+  return {
+    mime: format === 'png' ? 'image/png' : 'image/jpeg',
+    data: data.slice(pos),
+  };
+}
+
 /**
  * Parse APIC (attached picture) frame
  * Layout: encoding(1) + mime(null-terminated) + picType(1) + description(null-terminated) + imageData
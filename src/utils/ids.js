@@ -0,0 +1,37 @@
+// Stable identities for library records. Rescans rebuild albums and tracks,
+// but these ids carry over, so anything durable can refer to them.
+// Pure functions, no DOM dependency
+
+/**
+ * Album id — the same album artist + title always gives the same id
+ * @param {string} artist — the album's (grouping) artist
+ * @param {string} title
+ */
+export function albumUid(artist, title) {
+  return `a${hash(`${artist}\u0000${title}`)}`;
+}
+
+/**
+ * Id for an audio file first seen at `path`. A file that later moves keeps
+ * the id it was given (file-loader relinks it by fingerprint).
+ * @param {string} path — relative path in the library
+ * @param {string|null} fingerprint — from audioFingerprint
+ * @param {number} [salt] — to step past an id that's already taken
+ */
+export function trackUid(path, fingerprint, salt = 0) {
+  return `t${hash(`${path}\u0000${fingerprint || ''}${salt ? `\u0000${salt}` : ''}`)}`;
+}
+
+// cyrb53 — 53-bit string hash, base 36
+function hash(str) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+}
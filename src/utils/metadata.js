@@ -1,12 +1,14 @@
 // Metadata parsers for non-MP3 audio formats
-// FLAC → Vorbis Comments, OGG/Opus → Vorbis Comments, M4A/AAC → MP4 atoms
+// FLAC → Vorbis Comments, OGG/Opus → Vorbis Comments, M4A/M4B/AAC → MP4 atoms
+import { applyReplayGainTag } from './replaygain.js';
+import { genreName } from './id3-genres.js';
 
 /**
  * Parse metadata from a FLAC file
  * Structure: "fLaC" magic + metadata blocks (VORBIS_COMMENT = type 4, PICTURE = type 6)
  */
 export async function parseFLAC(file) {
-  const result = { title: null, artist: null, album: null, track: null, picture: null };
+  const result = emptyTags();
 
   let buf;
   try {
@@ -50,7 +52,7 @@ export async function parseFLAC(file) {
  * Structure: OGG pages → first few pages contain identification + comment headers
  */
 export async function parseOGG(file) {
-  const result = { title: null, artist: null, album: null, track: null, picture: null };
+  const result = emptyTags();
 
   let buf;
   try {
@@ -101,36 +103,78 @@ export async function parseOGG(file) {
 }
 
 /**
- * Parse metadata from an M4A/AAC file (MP4 container)
- * Structure: atoms (ftyp, moov > udta > meta > ilst > ©nam, ©ART, ©alb, trkn, covr)
+ * Parse metadata from an M4A/M4B/AAC file (MP4 container)
+ * Structure: atoms (ftyp, moov > udta > meta > ilst > ©nam, ©ART, ©alb, trkn, covr,
+ * plus aART, ©day, ©gen / gnre, disk, ©wrt, cpil)
+ * Chapters: a QuickTime chapter text track (moov > trak > tref > chap), or
+ * Nero's moov > udta > chpl list
  */
 export async function parseM4A(file) {
-  const result = { title: null, artist: null, album: null, track: null, picture: null };
+  const result = emptyTags();
 
   let buf;
   try {
-    buf = await file.slice(0, Math.min(file.size, 1024 * 1024)).arrayBuffer();
+    buf = await readMoov(file);
   } catch {
     return result;
   }
+  if (!buf) return result;
 
   const view = new DataView(buf);
-  if (buf.byteLength < 8) return result;
+  // Header is 16 bytes when the 64-bit size field is used
+  const moov = { dataStart: view.getUint32(0) === 1 ? 16 : 8, end: buf.byteLength };
+
+  parseIlst(view, moov, result);
+
+  try {
+    result.chapters = await parseChapterTrack(file, view, moov) || parseNeroChapters(view, moov);
+  } catch (e) {
+    console.warn('[metadata] Unreadable MP4 chapters:', e.message);
+  }
+
+  return result;
+}
 
-  const moov = findAtom(view, 0, buf.byteLength, 'moov');
-  if (!moov) return result;
+// moov often sits behind a huge mdat (typical for audiobooks), so the
+// top-level atoms are walked header by header instead of reading the head
+const MAX_MOOV = 32 * 1024 * 1024;
+
+/**
+ * The whole moov atom (header included), or null if missing or too big
+ * @returns {Promise<ArrayBuffer|null>}
+ */
+export async function readMoov(file) {
+  let pos = 0;
+  while (pos + 8 <= file.size) {
+    const head = new DataView(await file.slice(pos, pos + 16).arrayBuffer());
+    let size = head.getUint32(0);
+    const type = atomName(head, 4);
+    if (size === 1 && head.byteLength >= 16) size = Number(head.getBigUint64(8));
+    else if (size === 0) size = file.size - pos; // runs to end of file
+    if (size < 8) return null;
+
+    if (type === 'moov') {
+      return size <= MAX_MOOV ? file.slice(pos, pos + size).arrayBuffer() : null;
+    }
+    pos += size;
+  }
+  return null;
+}
+
+function parseIlst(view, moov, result) {
+  const buf = view.buffer;
 
   const udta = findAtom(view, moov.dataStart, moov.end, 'udta');
-  if (!udta) return result;
+  if (!udta) return;
 
   const meta = findAtom(view, udta.dataStart, udta.end, 'meta');
-  if (!meta) return result;
+  if (!meta) return;
 
   // 'meta' has a 4-byte version/flags field after the header
   const metaDataStart = meta.dataStart + 4;
 
   const ilst = findAtom(view, metaDataStart, meta.end, 'ilst');
-  if (!ilst) return result;
+  if (!ilst) return;
 
   let pos = ilst.dataStart;
   while (pos + 8 <= ilst.end) {
@@ -148,14 +192,37 @@ export async function parseM4A(file) {
       const valueLen = dataAtom.end - valueStart;
 
       if (valueLen > 0) {
+        const text = () => decodeUTF8(new Uint8Array(buf, valueStart, valueLen));
         if (atomType === '\xA9nam') {
-          result.title = decodeUTF8(new Uint8Array(buf, valueStart, valueLen));
+          result.title = text();
         } else if (atomType === '\xA9ART') {
-          result.artist = decodeUTF8(new Uint8Array(buf, valueStart, valueLen));
+          result.artist = text();
         } else if (atomType === '\xA9alb') {
-          result.album = decodeUTF8(new Uint8Array(buf, valueStart, valueLen));
+          result.album = text();
+        } else if (atomType === 'aART') {
+          result.albumArtist = text();
+        } else if (atomType === '\xA9day') {
+          result.year = text();
+        } else if (atomType === '\xA9gen') {
+          result.genre = text();
+        } else if (atomType === 'gnre' && valueLen >= 2 && !result.genre) {
+          // Legacy numeric genre: ID3v1 index + 1
+          result.genre = genreName(view.getUint16(valueStart) - 1);
+        } else if (atomType === '\xA9wrt') {
+          result.composer = text();
         } else if (atomType === 'trkn' && valueLen >= 4) {
           result.track = String(view.getUint16(valueStart + 2));
+        } else if (atomType === 'disk' && valueLen >= 4) {
+          result.disc = String(view.getUint16(valueStart + 2));
+        } else if (atomType === 'cpil') {
+          result.compilation = String(view.getUint8(valueStart));
+        } else if (atomType === '----') {
+          // iTunes freeform atom: mean + name + data — ReplayGain lives here
+          const nameAtom = findAtom(view, pos + 8, pos + atomSize, 'name');
+          if (nameAtom && nameAtom.end - nameAtom.dataStart > 4) {
+            const name = decodeUTF8(new Uint8Array(buf, nameAtom.dataStart + 4, nameAtom.end - nameAtom.dataStart - 4));
+            applyReplayGainTag(result, name, decodeUTF8(new Uint8Array(buf, valueStart, valueLen)));
+          }
         } else if (atomType === 'covr' && valueLen > 16) {
           const typeFlag = view.getUint32(dataAtom.dataStart);
           const mime = typeFlag === 14 ? 'image/png' : 'image/jpeg';
@@ -169,8 +236,150 @@ export async function parseM4A(file) {
 
     pos += atomSize;
   }
+}
 
-  return result;
+// --- MP4 chapters ---
+
+/**
+ * QuickTime chapters: a text track whose samples are the chapter titles,
+ * timed by the track's own sample table.
+ * @returns {Promise<Array<{ title, start }>|null>}
+ */
+async function parseChapterTrack(file, view, moov) {
+  const traks = findAtoms(view, moov.dataStart, moov.end, 'trak');
+
+  let chapterId = null;
+  for (const trak of traks) {
+    const tref = findAtom(view, trak.dataStart, trak.end, 'tref');
+    const chap = tref && findAtom(view, tref.dataStart, tref.end, 'chap');
+    if (chap && chap.end - chap.dataStart >= 4) {
+      chapterId = view.getUint32(chap.dataStart);
+      break;
+    }
+  }
+  if (chapterId === null) return null;
+
+  const trak = traks.find(t => trackId(view, t) === chapterId);
+  const mdia = trak && findAtom(view, trak.dataStart, trak.end, 'mdia');
+  const mdhd = mdia && findAtom(view, mdia.dataStart, mdia.end, 'mdhd');
+  const minf = mdia && findAtom(view, mdia.dataStart, mdia.end, 'minf');
+  const stbl = minf && findAtom(view, minf.dataStart, minf.end, 'stbl');
+  if (!mdhd || !stbl) return null;
+
+  const timescale = view.getUint32(mdhd.dataStart + (view.getUint8(mdhd.dataStart) === 1 ? 20 : 12));
+  if (!timescale) return null;
+
+  const samples = sampleTable(view, stbl);
+  if (!samples || samples.length === 0) return null;
+
+  // Each sample: 16-bit length + text (UTF-8, or UTF-16 with a BOM)
+  const titles = await Promise.all(samples.map(async ({ offset, size }) => {
+    if (size < 2) return '';
+    const bytes = new Uint8Array(await file.slice(offset, offset + size).arrayBuffer());
+    const len = Math.min((bytes[0] << 8) | bytes[1], bytes.length - 2);
+    const text = bytes.subarray(2, 2 + len);
+    if (text[0] === 0xFE && text[1] === 0xFF) return new TextDecoder('utf-16be').decode(text.subarray(2));
+    if (text[0] === 0xFF && text[1] === 0xFE) return new TextDecoder('utf-16le').decode(text.subarray(2));
+    return decodeUTF8(text);
+  }));
+
+  return samples.map((s, i) => ({
+    title: titles[i].trim() || `Chapter ${i + 1}`,
+    start: s.time / timescale,
+  }));
+}
+
+/** Nero chapter list — 64-bit start times in 100 ns units + Pascal-string titles */
+function parseNeroChapters(view, moov) {
+  const udta = findAtom(view, moov.dataStart, moov.end, 'udta');
+  const chpl = udta && findAtom(view, udta.dataStart, udta.end, 'chpl');
+  if (!chpl) return null;
+
+  let pos = chpl.dataStart;
+  const version = view.getUint8(pos);
+  pos += version === 1 ? 8 : 4; // version/flags (+ reserved in v1)
+  const count = view.getUint8(pos++);
+
+  const chapters = [];
+  for (let i = 0; i < count && pos + 9 <= chpl.end; i++) {
+    const start = Number(view.getBigUint64(pos)) / 1e7;
+    const len = view.getUint8(pos + 8);
+    pos += 9;
+    if (pos + len > chpl.end) break;
+    const title = decodeUTF8(new Uint8Array(view.buffer, pos, len)).trim();
+    pos += len;
+    chapters.push({ title: title || `Chapter ${i + 1}`, start });
+  }
+  return chapters.length ? chapters : null;
+}
+
+function trackId(view, trak) {
+  const tkhd = findAtom(view, trak.dataStart, trak.end, 'tkhd');
+  if (!tkhd) return null;
+  return view.getUint32(tkhd.dataStart + (view.getUint8(tkhd.dataStart) === 1 ? 20 : 12));
+}
+
+/**
+ * File offset, size and start time (in track timescale units) of every
+ * sample, from stts / stsz / stsc / stco (or co64)
+ */
+function sampleTable(view, stbl) {
+  const stts = findAtom(view, stbl.dataStart, stbl.end, 'stts');
+  const stsz = findAtom(view, stbl.dataStart, stbl.end, 'stsz');
+  const stsc = findAtom(view, stbl.dataStart, stbl.end, 'stsc');
+  const stco = findAtom(view, stbl.dataStart, stbl.end, 'stco');
+  const co64 = !stco && findAtom(view, stbl.dataStart, stbl.end, 'co64');
+  if (!stts || !stsz || !stsc || !(stco || co64)) return null;
+
+  // Sizes
+  const fixedSize = view.getUint32(stsz.dataStart + 4);
+  const count = view.getUint32(stsz.dataStart + 8);
+  const sizeAt = (i) => fixedSize || view.getUint32(stsz.dataStart + 12 + i * 4);
+
+  // Chunk offsets
+  const chunks = [];
+  const co = stco || co64;
+  const chunkCount = view.getUint32(co.dataStart + 4);
+  for (let i = 0; i < chunkCount; i++) {
+    chunks.push(stco
+      ? view.getUint32(co.dataStart + 8 + i * 4)
+      : Number(view.getBigUint64(co.dataStart + 8 + i * 8)));
+  }
+
+  // Samples per chunk — runs of (first chunk, samples per chunk)
+  const runs = [];
+  const runCount = view.getUint32(stsc.dataStart + 4);
+  for (let i = 0; i < runCount; i++) {
+    const p = stsc.dataStart + 8 + i * 12;
+    runs.push({ first: view.getUint32(p), perChunk: view.getUint32(p + 4) });
+  }
+
+  const samples = [];
+  for (let c = 0, r = 0; c < chunks.length && samples.length < count; c++) {
+    while (r + 1 < runs.length && runs[r + 1].first <= c + 1) r++;
+    let offset = chunks[c];
+    for (let k = 0; k < (runs[r]?.perChunk || 0) && samples.length < count; k++) {
+      const size = sizeAt(samples.length);
+      samples.push({ offset, size, time: 0 });
+      offset += size;
+    }
+  }
+
+  // Start times from the (count, delta) runs
+  const sttsCount = view.getUint32(stts.dataStart + 4);
+  let time = 0;
+  let i = 0;
+  for (let e = 0; e < sttsCount && i < samples.length; e++) {
+    const p = stts.dataStart + 8 + e * 8;
+    const n = view.getUint32(p);
+    const delta = view.getUint32(p + 4);
+    for (let k = 0; k < n && i < samples.length; k++, i++) {
+      samples[i].time = time;
+      time += delta;
+    }
+  }
+
+  return samples;
 }
 
 // --- Vorbis Comment parser (shared by FLAC and OGG) ---
@@ -204,7 +413,13 @@ function parseVorbisComment(view, result) {
       if (key === 'TITLE') result.title = value;
       else if (key === 'ARTIST') result.artist = value;
       else if (key === 'ALBUM') result.album = value;
+      else if (key === 'ALBUMARTIST' || key === 'ALBUM ARTIST') result.albumArtist = value;
       else if (key === 'TRACKNUMBER') result.track = value;
+      else if (key === 'DISCNUMBER') result.disc = value;
+      else if (key === 'DATE' || (key === 'YEAR' && !result.year)) result.year = value;
+      else if (key === 'GENRE') result.genre = result.genre || value; // first of several
+      else if (key === 'COMPOSER') result.composer = value;
+      else if (key === 'COMPILATION') result.compilation = value;
       else if (key === 'METADATA_BLOCK_PICTURE' && !result.picture) {
         try {
           const bin = atob(value);
@@ -214,6 +429,7 @@ function parseVorbisComment(view, result) {
           parseFLACPicture(picView, arr, result);
         } catch { /* ignore malformed picture */ }
       }
+      else applyReplayGainTag(result, key, value);
     }
 
     pos += commentLen;
@@ -258,7 +474,28 @@ function parseFLACPicture(view, bytes, result) {
 
 // --- MP4 atom helpers ---
 
-function findAtom(view, start, end, name) {
+function atomName(view, pos) {
+  return String.fromCharCode(
+    view.getUint8(pos), view.getUint8(pos + 1),
+    view.getUint8(pos + 2), view.getUint8(pos + 3)
+  );
+}
+
+/** All direct children named `name` */
+function findAtoms(view, start, end, name) {
+  const found = [];
+  let pos = start;
+  while (pos + 8 <= end) {
+    const size = view.getUint32(pos);
+    if (size < 8 || pos + size > end) break;
+    if (atomName(view, pos + 4) === name) found.push({ dataStart: pos + 8, end: pos + size });
+    pos += size;
+  }
+  return found;
+}
+
+/** First direct child named `name` → { dataStart, end }, or null */
+export function findAtom(view, start, end, name) {
   let pos = start;
   while (pos + 8 <= end) {
     const size = view.getUint32(pos);
@@ -308,6 +545,15 @@ function findVorbisCommentStart(body) {
 
 // --- Shared ---
 
+/** The tag model every parser fills — raw strings, normalized by file-loader */
+function emptyTags() {
+  return {
+    title: null, artist: null, album: null, albumArtist: null,
+    track: null, disc: null, year: null, genre: null, composer: null,
+    compilation: null, picture: null, replayGain: null, chapters: null,
+  };
+}
+
 function decodeUTF8(bytes) {
   return new TextDecoder('utf-8').decode(bytes);
 }
@@ -0,0 +1,100 @@
+// One audio File → tags, duration and fingerprint. Runs inside the parse workers (see
+// parse-pool.js) and, where workers aren't available, on the main thread —
+// so nothing in here may touch the DOM
+import { parseID3 } from './id3-parser.js';
+import { parseFLAC, parseOGG, parseM4A } from './metadata.js';
+import { probeDuration } from './duration.js';
+import { audioFingerprint } from './fingerprint.js';
+
+/**
+ * @param {File} file
+ * @param {string} path — relative path in the library (folder names fill in missing tags)
+ * @returns {Promise<{ tags: Object, duration: number, fingerprint: string|null }>}
+ *   duration 0 when the container header doesn't tell
+ */
+export async function parseFile(file, path) {
+  const [tags, duration, fingerprint] = await Promise.all([
+    parseMetadata(file, path),
+    probeDuration(file),
+    audioFingerprint(file),
+  ]);
+  return { tags, duration, fingerprint };
+}
+
+export function cleanFilename(name) {
+  if (!name) return 'Unknown Track';
+  return stripExtension(name)
+    .replace(/^\d+[\s._-]+/, ''); // strip leading track numbers
+}
+
+export function stripExtension(name) {
+  return name.replace(/\.\w+$/i, '');
+}
+
+// "CD1", "CD 02", "Disc 2", "disk_3 (Bonus)" → the disc number, else null
+export function discFolderNumber(name) {
+  const m = /^(?:cd|dis[ck])\s*[-_.]?\s*(\d{1,2})\b/i.exec(name || '');
+  return m ? Number(m[1]) : null;
+}
+
+/**
+ * Pick the right metadata parser based on file extension.
+ * Falls back to folder-structure tags if the parser finds nothing.
+ */
+async function parseMetadata(file, path) {
+  const name = file.name.toLowerCase();
+  let tags = null;
+
+  if (name.endsWith('.mp3')) {
+    tags = await parseID3(file);
+  } else if (name.endsWith('.flac')) {
+    tags = await parseFLAC(file);
+  } else if (name.endsWith('.ogg') || name.endsWith('.opus')) {
+    tags = await parseOGG(file);
+  } else if (name.endsWith('.m4a') || name.endsWith('.m4b') || name.endsWith('.aac')) {
+    tags = await parseM4A(file);
+  }
+
+  // If parser returned nothing useful, derive from path (keeping gain, chapters, …)
+  if (!tags || (!tags.title && !tags.artist && !tags.album)) {
+    tags = { ...tags, ...tagsFromPath(path) };
+  }
+
+  // Untagged discs are often split into CD1/, Disc 2/ … folders
+  if (!tags.disc) {
+    const disc = discFolderNumber(path.split('/').slice(-2, -1)[0]);
+    if (disc) tags.disc = String(disc);
+  }
+
+  return tags;
+}
+
+/**
+ * Extract metadata from the file's relative path (folder structure).
+ * Handles patterns like:  Artist/Album/01 - Title.flac
+ *                          Album/01 Title.m4a
+ *                          Title.ogg
+ * A disc subfolder (Artist/Album/CD2/…) is skipped over.
+ */
+function tagsFromPath(path) {
+  const parts = path.split('/');
+  if (parts.length >= 2 && discFolderNumber(parts[parts.length - 2])) parts.splice(-2, 1);
+  const filename = parts[parts.length - 1];
+
+  const title = cleanFilename(filename) || null;
+  let artist = null;
+  let album = null;
+  let track = null;
+
+  const trackMatch = filename.match(/^(\d+)/);
+  if (trackMatch) track = trackMatch[1];
+
+  if (parts.length >= 3) {
+    artist = parts[parts.length - 3];
+    album = parts[parts.length - 2];
+  } else if (parts.length === 2) {
+    album = parts[0];
+  }
+
+  return { title, artist, album, track, picture: null };
+}
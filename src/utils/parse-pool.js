@@ -0,0 +1,76 @@
+// Worker pool for library scans — tag parsing and duration probing run in
+// module workers so the carousel keeps animating while a big folder is read.
+// Falls back to the main thread where module workers can't start.
+import { parseFile } from './parse-file.js';
+
+const POOL_SIZE = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+/**
+ * One pool per scan — close() it when the scan is done or cancelled
+ * @param {number} [size] — number of workers
+ * @returns {{ parse(file: File, path: string): Promise<{ tags, duration, fingerprint }>, close(): void }}
+ */
+export function createParsePool(size = POOL_SIZE) {
+  const jobs = new Map(); // id → { resolve, reject, file, path, slot }
+  let nextId = 0;
+  let slots = [];
+
+  if (typeof Worker !== 'undefined') {
+    try {
+      for (let i = 0; i < size; i++) {
+        const worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+        const slot = { worker, busy: 0 };
+        worker.addEventListener('message', onMessage);
+        worker.addEventListener('error', (e) => onError(slot, e));
+        slots.push(slot);
+      }
+    } catch (err) {
+      console.warn('[parse-pool] Workers unavailable, parsing on the main thread:', err.message);
+      close();
+    }
+  }
+
+  function onMessage(e) {
+    const { id, result, error } = e.data;
+    const job = jobs.get(id);
+    if (!job) return;
+    jobs.delete(id);
+    job.slot.busy--;
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+  }
+
+  // A worker that failed to load hands its jobs back to the main thread
+  function onError(slot, e) {
+    e.preventDefault();
+    console.warn('[parse-pool] Worker failed, parsing on the main thread:', e.message);
+    slot.worker.terminate();
+    slots = slots.filter(s => s !== slot);
+    for (const [id, job] of jobs) {
+      if (job.slot !== slot) continue;
+      jobs.delete(id);
+      parseFile(job.file, job.path).then(job.resolve, job.reject);
+    }
+  }
+
+  function parse(file, path) {
+    if (slots.length === 0) return parseFile(file, path);
+    const slot = slots.reduce((a, b) => (b.busy < a.busy ? b : a));
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      jobs.set(id, { resolve, reject, file, path, slot });
+      slot.busy++;
+      slot.worker.postMessage({ id, file, path });
+    });
+  }
+
+  // Jobs still out are rejected, so a cancelled scan doesn't wait on them
+  function close() {
+    for (const { worker } of slots) worker.terminate();
+    slots = [];
+    for (const job of jobs.values()) job.reject(new DOMException('Parse pool closed', 'AbortError'));
+    jobs.clear();
+  }
+
+  return { parse, close };
+}
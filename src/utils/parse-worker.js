@@ -0,0 +1,20 @@
+// Parse worker — runs parseFile() off the main thread for parse-pool.js
+import { parseFile } from './parse-file.js';
+
+self.addEventListener('message', async (e) => {
+  const { id, file, path } = e.data;
+  try {
+    const result = await parseFile(file, path);
+    const picture = result.tags.picture;
+    if (picture) picture.data = ownBuffer(picture.data);
+    self.postMessage({ id, result }, picture ? [picture.data.buffer] : []);
+  } catch (err) {
+    self.postMessage({ id, error: err.message });
+  }
+});
+
+// Cover bytes are often a view into a much larger read buffer — copy them
+// out so only the picture itself is transferred
+function ownBuffer(data) {
+  return data.byteOffset === 0 && data.byteLength === data.buffer.byteLength ? data : data.slice();
+}
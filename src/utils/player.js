@@ -1,12 +1,72 @@
 // Audio playback controller for ProtoPlayer
+import * as graph from './audio-graph.js';
+import { GAIN_MODES, replayGainFactor } from './replaygain.js';
+import { artworkFor } from './artwork.js';
 
 const bus = new EventTarget();
-const audio = new Audio();
+
+// Two "decks" so the upcoming track can be buffered while the current one plays.
+// `audio` always points at the audible deck's element; the other one is standby.
+const decks = [createDeck(), createDeck()];
+let deck = decks[0];
+let audio = deck.audio;
+
+// How close to the end of a track the standby deck gets scheduled, and how
+// early it is started to absorb play() latency. The outgoing deck plays out
+// its tail underneath, so starting slightly early never truncates it.
+const HANDOFF_LOOKAHEAD = 1.0; // seconds
+const HANDOFF_LEAD_MS = 40;
+let gaplessEnabled = true;
+let handoffTimer = null;
+
+// Crossfade — automatic transitions use the full length, manual skips a short one
+const SKIP_FADE = 0.8; // seconds
+const FADE_STEP_MS = 30;
+let crossfadeSeconds = 0;
+
+let replayGainMode = 'track';
+
+// Playback speed — shared by both decks, pitch preserved so voices stay natural
+export const RATE_MIN = 0.5;
+export const RATE_MAX = 3;
+let playbackRate = 1;
+
+// Sleep timer — `deadline` is wall-clock so it keeps time while backgrounded;
+// the track/album/queue modes are measured from the playback position instead
+const SLEEP_MODES = ['minutes', 'track', 'album', 'queue'];
+const SLEEP_FADE = 30; // seconds of fade-out before pausing
+const SLEEP_TICK_MS = 1000;
+let sleep = null; // { mode, deadline? }
+let sleepTicker = null;
+let sleepLevel = 1; // master volume factor while the timer fades out
+
+// Unplayable tracks are skipped; this many failures in a row stops playback
+export const MAX_FAILURES = 5;
+let failureStreak = 0;
+
+// Checked before lock-screen play/prev/next — the app's way of getting the
+// files back after a reload (see setFilesGuard)
+let filesGuard = async () => true;
+
+// A–B loop on the current track (media seconds) — `b` is null while only A
+// is set. Cleared whenever another track comes up.
+let loop = null; // { a, b }
 
 let currentAlbum = null;
 let currentTrackIndex = -1;
 let fileMap = new Map();
 
+// Play queue — entries are { album, index } pointing into album.tracks,
+// so one queue can mix tracks from any number of albums
+let queue = [];
+let current = null; // the queue entry currently loaded
+let resumeTime = 0;  // start position for a restored entry that isn't loaded yet
+
+const REPEAT_MODES = ['off', 'all', 'one'];
+let shuffleEnabled = false;
+let shuffleOrder = []; // permutation of queue entries, only kept while shuffle is on
+let repeatMode = 'off';
+
 // Unlock audio on first user interaction (mobile browsers block play without gesture)
 let audioUnlocked = false;
 function unlockAudio() {
@@ -14,17 +74,21 @@ function unlockAudio() {
   // Create a tiny silent WAV and play it — this reliably unlocks the audio
   // context on iOS Safari and Android Chrome (playing with no src does not)
   const silentWav = 'data:audio/wav;base64,UklGRiQAAABXQVZFZm10IBAAAAABAAEAQB8AAIA+AAACABAAZGF0YQAAAAA=';
-  audio.src = silentWav;
-  audio.volume = 0;
-  audio.play().then(() => {
-    audio.pause();
-    audio.volume = 1;
-    audio.src = '';
-    audioUnlocked = true;
-  }).catch(() => {
-    audio.volume = 1;
-    audio.src = '';
-  });
+  // Both decks need unlocking — the standby one starts itself at track boundaries
+  for (const { audio: el } of decks) {
+    if (el.src) continue; // already playing something real
+    el.src = silentWav;
+    el.volume = 0;
+    el.play().then(() => {
+      el.pause();
+      el.volume = 1;
+      el.src = '';
+      audioUnlocked = true;
+    }).catch(() => {
+      el.volume = 1;
+      el.src = '';
+    });
+  }
   document.removeEventListener('touchstart', unlockAudio, true);
   document.removeEventListener('click', unlockAudio, true);
 }
@@ -34,27 +98,144 @@ document.addEventListener('click', unlockAudio, true);
 // Expose event bus for external listeners
 export const events = bus;
 
+// Effects live on the shared output chain — see audio-graph.js
+export { setEqualizer, setMono, setBalance, getAnalyser } from './audio-graph.js';
+
 // --- Public API ---
 
 export function setFileMap(map) {
   fileMap = map;
 }
 
+/**
+ * @param {() => Promise<boolean>} guard — resolves true when playback can go
+ *   ahead; run before Media Session play/prev/next
+ */
+export function setFilesGuard(guard) {
+  filesGuard = guard;
+}
+
+export function getFileMap() {
+  return fileMap;
+}
+
 export function hasFiles() {
   return fileMap.size > 0;
 }
 
-export function loadAlbum(album, startIndex = 0) {
-  currentAlbum = album;
-  playTrack(startIndex);
+/**
+ * @param {Object} album
+ * @param {number} [startIndex]
+ * @param {number} [startAt] — seconds into the starting track (e.g. a chapter)
+ */
+export function loadAlbum(album, startIndex = 0, startAt = 0) {
+  queue = album.tracks.map((_, index) => ({ album, index }));
+  const start = queue[startIndex];
+  shuffleOrder = shuffleEnabled ? [start, ...shuffled(queue.filter(e => e !== start))] : [];
+  playEntry(start, 0, startAt);
+}
+
+// --- Queue ---
+// Positions passed to and returned from the queue API are in play order,
+// which is the shuffle permutation while shuffle is on
+
+/** Insert an album (or one of its tracks) right after the current entry */
+export function playNext(album, trackIndex) {
+  const entries = entriesFor(album, trackIndex);
+  queue.splice(current ? queue.indexOf(current) + 1 : queue.length, 0, ...entries);
+  if (shuffleEnabled) {
+    shuffleOrder.splice(current ? shuffleOrder.indexOf(current) + 1 : shuffleOrder.length, 0, ...entries);
+  }
+  startIfIdle(entries);
+  emitQueue();
+}
+
+/** Append an album (or one of its tracks) to the end of the queue */
+export function addToQueue(album, trackIndex) {
+  const entries = entriesFor(album, trackIndex);
+  queue.push(...entries);
+  if (shuffleEnabled) shuffleOrder.push(...shuffled(entries));
+  startIfIdle(entries);
+  emitQueue();
+}
+
+export function removeFromQueue(position) {
+  const entry = playOrder()[position];
+  if (!entry || entry === current) return;
+  queue.splice(queue.indexOf(entry), 1);
+  if (shuffleEnabled) shuffleOrder.splice(shuffleOrder.indexOf(entry), 1);
+  emitQueue();
+}
+
+export function moveInQueue(from, to) {
+  const list = playOrder();
+  if (from < 0 || from >= list.length || to < 0 || to >= list.length || from === to) return;
+  const [entry] = list.splice(from, 1);
+  list.splice(to, 0, entry);
+  emitQueue();
+}
+
+/** Drop everything except the track that is currently loaded */
+export function clearQueue() {
+  queue = current ? [current] : [];
+  shuffleOrder = shuffleEnabled ? [...queue] : [];
+  emitQueue();
+}
+
+export function getQueue() {
+  const list = playOrder();
+  return {
+    entries: list.map(e => ({ album: e.album, track: e.album.tracks[e.index], index: e.index })),
+    position: current ? list.indexOf(current) : -1,
+  };
+}
+
+// --- Shuffle / repeat ---
+
+/**
+ * Shuffle draws a fresh permutation of the queue with the current track first,
+ * so prev() walks back through exactly what was played.
+ */
+export function setShuffle(enabled) {
+  shuffleEnabled = !!enabled;
+  shuffleOrder = shuffleEnabled
+    ? [...(current ? [current] : []), ...shuffled(queue.filter(e => e !== current))]
+    : [];
+  emitModes();
+  emitQueue();
+}
+
+/** @param {'off'|'all'|'one'} mode */
+export function setRepeat(mode) {
+  repeatMode = REPEAT_MODES.includes(mode) ? mode : 'off';
+  emitModes();
+}
+
+export function toggleShuffle() {
+  setShuffle(!shuffleEnabled);
+}
+
+/** Cycle off → all → one → off */
+export function cycleRepeat() {
+  setRepeat(REPEAT_MODES[(REPEAT_MODES.indexOf(repeatMode) + 1) % REPEAT_MODES.length]);
 }
 
 export function play() {
-  if (audio.src) audio.play();
+  if (current && deck.entry !== current) {
+    // Restored from a snapshot — load the file now, at the saved position
+    playEntry(current, 0, resumeTime);
+    return;
+  }
+  if (!audio.src) return;
+  connectDecks();
+  audio.play();
 }
 
 export function pause() {
   audio.pause();
+  // Don't leave a crossfade tail playing on its own
+  const standby = standbyDeck();
+  if (standby.ramp) finishRamp(standby);
 }
 
 export function togglePlay() {
@@ -63,84 +244,389 @@ export function togglePlay() {
 }
 
 export function next() {
-  if (!currentAlbum) return;
-  const nextIdx = currentTrackIndex + 1;
-  if (nextIdx < currentAlbum.tracks.length) {
-    playTrack(nextIdx);
+  if (!current) return;
+  // Chaptered files step through their chapters before leaving the track
+  const chapters = chaptersOf(current);
+  if (chapters) {
+    const i = chapterIndex(chapters, getState().currentTime);
+    if (i + 1 < chapters.length) {
+      seekTo(chapters[i + 1].start);
+      return;
+    }
+  }
+  const nextEntry = neighbour(1);
+  if (nextEntry) {
+    playEntry(nextEntry, skipFade());
   } else {
-    // End of album — stop
+    // End of queue — stop
     audio.pause();
     emit('playstate-change', { playing: false });
   }
 }
 
 export function prev() {
-  if (!currentAlbum) return;
+  if (!current) return;
+  const time = getState().currentTime;
+  // Same rule inside a chaptered file: restart the chapter, else the one before
+  const chapters = chaptersOf(current);
+  if (chapters) {
+    const i = chapterIndex(chapters, time);
+    const start = i >= 0 ? chapters[i].start : 0;
+    if (time - start > 3 || i > 0) {
+      seekTo(time - start > 3 ? start : chapters[i - 1].start);
+      return;
+    }
+  }
   // If more than 3s in, restart current track; otherwise go to previous
-  if (audio.currentTime > 3 && currentTrackIndex >= 0) {
-    audio.currentTime = 0;
+  if (time > 3) {
+    seekTo(0);
   } else {
-    const prevIdx = currentTrackIndex - 1;
-    if (prevIdx >= 0) {
-      playTrack(prevIdx);
+    const prevEntry = neighbour(-1);
+    if (prevEntry) {
+      playEntry(prevEntry, skipFade());
     } else {
-      audio.currentTime = 0;
+      seekTo(0);
     }
   }
 }
 
 export function seek(fraction) {
-  if (!isFinite(audio.duration)) return;
-  audio.currentTime = fraction * audio.duration;
+  if (!current || deck.entry !== current) return;
+  const duration = trackDuration();
+  if (!isFinite(duration)) return;
+  seekTo(fraction * duration);
+}
+
+/** Jump to a position in the current track (seconds) */
+export function seekTo(seconds) {
+  if (!current) return;
+  if (deck.entry !== current) {
+    resumeTime = Math.max(0, seconds); // restored entry, applied on play()
+    emit('timeupdate', { currentTime: resumeTime, duration: parseDuration(current.album.tracks[current.index].dur) });
+    return;
+  }
+  const duration = trackDuration();
+  const end = isFinite(duration) ? duration : Infinity;
+  audio.currentTime = startOf(current) + Math.max(0, Math.min(end, seconds));
+  updatePositionState();
+  emitTime(true);
+}
+
+// --- A–B loop ---
+
+/** Set loop point A at the current position (drops B if it's no longer after A) */
+export function setLoopStart() {
+  if (!current) return;
+  const a = getState().currentTime;
+  setLoop(a, loop && loop.b > a ? loop.b : null);
+}
+
+/** Set loop point B at the current position (A defaults to the track start) */
+export function setLoopEnd() {
+  if (!current) return;
+  const b = getState().currentTime;
+  const a = loop ? loop.a : 0;
+  if (b <= a) return;
+  setLoop(a, b);
+}
+
+export function clearLoop() {
+  setLoop(null, null);
+}
+
+/**
+ * Gapless mode buffers the next track on the standby deck and starts it at
+ * the boundary instead of after `ended`. On by default.
+ */
+export function setGapless(enabled) {
+  gaplessEnabled = !!enabled;
+  if (gaplessEnabled) preloadNext();
+  else cancelHandoff();
+}
+
+/**
+ * Overlap consecutive tracks by `seconds` (0 disables). With gapless on,
+ * consecutive tracks of the same album still join without a fade.
+ */
+export function setCrossfade(seconds) {
+  crossfadeSeconds = Math.max(0, Number(seconds) || 0);
+  preloadNext();
+}
+
+/**
+ * Loudness normalization from ReplayGain tags.
+ * @param {'off'|'track'|'album'} mode
+ */
+export function setReplayGainMode(mode) {
+  replayGainMode = GAIN_MODES.includes(mode) ? mode : 'off';
+  for (const d of decks) applyReplayGain(d);
+}
+
+/**
+ * Playback speed for both decks (clamped to RATE_MIN…RATE_MAX).
+ * @param {number} rate — 1 is normal speed
+ */
+export function setPlaybackRate(rate) {
+  playbackRate = Math.max(RATE_MIN, Math.min(RATE_MAX, Number(rate) || 1));
+  for (const d of decks) applyRate(d.audio);
+  cancelHandoff(); // the boundary moved — the next timeupdate reschedules it
+  emit('rate-change', { rate: playbackRate });
+}
+
+// --- Sleep timer ---
+
+/**
+ * Pause playback after a while, fading out over the last 30 seconds.
+ * @param {'minutes'|'track'|'album'|'queue'|null} mode — null cancels
+ * @param {number} [minutes] — for mode 'minutes'
+ */
+export function setSleepTimer(mode, minutes = 0) {
+  if (!SLEEP_MODES.includes(mode) || (mode === 'minutes' && !(minutes > 0))) {
+    cancelSleepTimer();
+    return;
+  }
+  sleep = mode === 'minutes'
+    ? { mode, deadline: Date.now() + minutes * 60000 }
+    : { mode };
+  clearInterval(sleepTicker);
+  sleepTicker = setInterval(sleepTick, SLEEP_TICK_MS);
+  cancelHandoff(); // the next boundary may now be the stopping point
+  sleepTick();
+}
+
+export function cancelSleepTimer() {
+  clearInterval(sleepTicker);
+  sleepTicker = null;
+  sleep = null;
+  setSleepLevel(1);
+  emit('sleep-timer', { mode: null, remaining: 0 });
 }
 
 export function getState() {
+  const loaded = !!current && deck.entry === current;
   return {
     album: currentAlbum,
     track: currentAlbum?.tracks[currentTrackIndex] ?? null,
     trackIndex: currentTrackIndex,
     playing: !audio.paused,
-    currentTime: audio.currentTime,
-    duration: audio.duration,
+    currentTime: loaded ? position() : resumeTime,
+    duration: loaded ? trackDuration() : (current ? parseDuration(trackOf(current).dur) : NaN),
+    shuffle: shuffleEnabled,
+    repeat: repeatMode,
+    gapless: gaplessEnabled,
+    crossfade: crossfadeSeconds,
+    replayGain: replayGainMode,
+    rate: playbackRate,
+    loop: loop ? { ...loop } : null,
+    chapter: currentChapter,
+    sleep: sleep ? { mode: sleep.mode, remaining: sleepRemaining() } : null,
   };
 }
 
-// --- Internal ---
+// --- Resume ---
+
+/**
+ * Serializable picture of what's playing, for persisting across reloads.
+ * Tracks are referenced by path so they can be re-linked to a fresh library.
+ * @returns {{ queue: string[], order: number[]|null, position, time, repeat }|null}
+ */
+export function getSnapshot() {
+  if (!current) return null;
+  return {
+    // Stable ids survive the file being moved; tracks without one go by path
+    queue: queue.map(e => e.album.tracks[e.index].uid || e.album.tracks[e.index].path),
+    order: shuffleEnabled ? shuffleOrder.map(e => queue.indexOf(e)) : null,
+    position: queue.indexOf(current),
+    time: getState().currentTime,
+    repeat: repeatMode,
+  };
+}
 
-let currentBlobURL = null;
+/**
+ * Rebuild the queue from a snapshot, paused. Nothing is loaded until play(),
+ * so this works before the files are available again.
+ * @param {Object} snapshot — from getSnapshot()
+ * @param {Array} albums — library to resolve track paths against
+ * @returns {boolean} false if the current track is no longer in the library
+ */
+export function restoreSnapshot(snapshot, albums) {
+  // Older snapshots hold paths, newer ones track uids
+  const byKey = tracksByKey(albums);
 
-function playTrack(index) {
-  if (!currentAlbum || index < 0 || index >= currentAlbum.tracks.length) return;
+  // Resolve by original position first so `position` and `order` still line up
+  const resolved = snapshot.queue.map(key => (byKey.has(key) ? { ...byKey.get(key) } : null));
+  const entry = resolved[snapshot.position];
+  if (!entry) return false;
 
-  const track = currentAlbum.tracks[index];
-  const file = fileMap.get(track.path);
+  queue = resolved.filter(Boolean);
+  shuffleEnabled = Array.isArray(snapshot.order);
+  shuffleOrder = shuffleEnabled ? snapshot.order.map(i => resolved[i]).filter(Boolean) : [];
+  repeatMode = REPEAT_MODES.includes(snapshot.repeat) ? snapshot.repeat : 'off';
+  resumeTime = snapshot.time || 0;
 
-  if (!file) {
-    console.warn(`[player] No file found for path: "${track.path}" (fileMap has ${fileMap.size} entries)`);
-    return;
+  setCurrent(entry);
+  emitModes();
+  emit('playstate-change', { playing: false });
+  emit('timeupdate', { currentTime: resumeTime, duration: parseDuration(entry.album.tracks[entry.index].dur) });
+  return true;
+}
+
+/**
+ * Move the queue over to a rescanned library's album objects (matched by
+ * track uid, else path), so it keeps comparing equal to what the app shows.
+ * Entries whose track is gone stay on their old album.
+ * @param {Array} albums
+ */
+export function adoptLibrary(albums) {
+  const byKey = tracksByKey(albums);
+  const entries = new Set([...queue, ...decks.map(d => d.entry)].filter(Boolean));
+  for (const entry of entries) {
+    const track = entry.album.tracks[entry.index];
+    const found = (track.uid && byKey.get(track.uid)) || byKey.get(track.path);
+    if (found) Object.assign(entry, found);
   }
+  if (current) {
+    currentAlbum = current.album;
+    currentTrackIndex = current.index;
+  }
+  emitQueue();
+}
 
-  // Revoke previous blob URL
-  if (currentBlobURL) {
-    URL.revokeObjectURL(currentBlobURL);
-    currentBlobURL = null;
+// --- Internal ---
+
+// Track uid and path → { album, index }
+function tracksByKey(albums) {
+  const byKey = new Map();
+  for (const album of albums) {
+    album.tracks.forEach((t, index) => {
+      if (t.path) byKey.set(t.path, { album, index });
+      if (t.uid) byKey.set(t.uid, { album, index });
+    });
   }
+  return byKey;
+}
 
-  currentTrackIndex = index;
+function entriesFor(album, trackIndex) {
+  if (trackIndex !== undefined) return [{ album, index: trackIndex }];
+  return album.tracks.map((_, index) => ({ album, index }));
+}
 
-  try {
-    currentBlobURL = URL.createObjectURL(file);
-  } catch (err) {
-    console.warn('[player] Could not create blob URL:', err.message);
-    emit('playstate-change', { playing: false });
+// Queue actions on an idle player start playback with the first added entry
+function startIfIdle(entries) {
+  if (!current && entries.length) playEntry(entries[0]);
+}
+
+function emitQueue() {
+  emit('queue-change', getQueue());
+  updateMediaActions();
+  preloadNext();
+}
+
+function emitModes() {
+  emit('mode-change', { shuffle: shuffleEnabled, repeat: repeatMode });
+  updateMediaActions();
+  preloadNext();
+}
+
+function playOrder() {
+  return shuffleEnabled ? shuffleOrder : queue;
+}
+
+/** Entry `step` places away from the current one in play order, wrapping on repeat-all */
+function neighbour(step) {
+  const list = playOrder();
+  if (!current || list.length === 0) return null;
+  const i = list.indexOf(current) + step;
+  if (i >= 0 && i < list.length) return list[i];
+  if (repeatMode === 'all') return list[(i + list.length) % list.length];
+  return null;
+}
+
+/** "m:ss" → seconds */
+function parseDuration(dur) {
+  const [m, s] = String(dur || '0:00').split(':').map(Number);
+  return (m || 0) * 60 + (s || 0);
+}
+
+// Fisher–Yates
+function shuffled(items) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function playEntry(entry, fadeSeconds = 0, startAt = 0) {
+  if (!entry) return;
+  const track = entry.album.tracks[entry.index];
+  if (!track) return;
+
+  cancelHandoff();
+
+  // Another slice of the file that's already on the audible deck — just move
+  // there (running straight on into the next slice needs no seek at all)
+  if (track.source && deck.entry && trackOf(deck.entry).source === track.source) {
+    const target = startOf(entry) + startAt;
+    const flowing = contiguous(deck.entry, entry) && !startAt && Math.abs(audio.currentTime - target) < 1;
+    if (!flowing) audio.currentTime = target;
+    deck.entry = entry;
+    applyReplayGain(deck);
+    startDeck(0, null);
+    setCurrent(entry);
     return;
   }
 
-  audio.src = currentBlobURL;
+  const outgoing = deck;
+  const standby = standbyDeck();
+  const crossfading = fadeSeconds > 0 && !outgoing.audio.paused;
 
-  // Emit track info immediately so player bar shows regardless of play() outcome
-  emit('track-change', { album: currentAlbum, track, index });
-  updateMediaSession(currentAlbum, track);
+  if (standby.entry === entry || crossfading) {
+    // Bring the entry up on the standby deck (usually already buffered there)
+    // so the outgoing deck can keep playing underneath a crossfade
+    if (standby.entry !== entry) {
+      finishRamp(standby);
+      const failure = loadDeck(standby, entry);
+      if (failure) {
+        failEntry(entry, failure);
+        return;
+      }
+    }
+    swapDecks();
+    audio.currentTime = startOf(entry) + startAt;
+    if (!crossfading) outgoing.audio.pause();
+  } else {
+    finishRamp(standby);
+    standby.audio.pause(); // may still be playing out a previous tail
+    const failure = loadDeck(deck, entry);
+    if (failure) {
+      failEntry(entry, failure);
+      return;
+    }
+    // Before metadata loads this sets the default start position
+    if (startAt) audio.currentTime = startOf(entry) + startAt;
+  }
+
+  startDeck(crossfading ? fadeSeconds : 0, outgoing);
+  setCurrent(entry);
+}
+
+/**
+ * Play the audible deck, fading it in over the outgoing one if asked to.
+ * @param {number} fadeSeconds — 0 starts at full volume
+ * @param {object} outgoing — deck to fade out (ignored without a fade)
+ */
+function startDeck(fadeSeconds, outgoing) {
+  connectDecks();
+  cancelRamp(deck);
+  if (fadeSeconds > 0) {
+    setFade(deck, 0);
+    rampDeck(deck, 1, fadeSeconds);
+    rampDeck(outgoing, 0, fadeSeconds);
+  } else {
+    setFade(deck, 1);
+  }
 
   audio.play().then(() => {
     emit('playstate-change', { playing: true });
@@ -150,63 +636,579 @@ function playTrack(index) {
   });
 }
 
-// Log audio errors for debugging (ignore empty src from unlock)
-audio.addEventListener('error', () => {
-  if (!audio.src || audio.src === location.href) return;
-  const err = audio.error;
-  console.warn(`[player] Audio error: code=${err?.code} message="${err?.message}"`);
-  emit('playstate-change', { playing: false });
-});
+function setCurrent(entry) {
+  const track = entry.album.tracks[entry.index];
+  if (current !== entry && loop) setLoop(null, null);
+  current = entry;
+  currentAlbum = entry.album;
+  currentTrackIndex = entry.index;
+  currentChapter = -1;
+  emitQueue();
+
+  // Emit track info immediately so player bar shows regardless of play() outcome
+  emit('track-change', { album: currentAlbum, track, index: currentTrackIndex });
+  updateMediaSession(currentAlbum, track);
+  updatePositionState();
+}
+
+// --- Decks ---
+
+function createDeck() {
+  const el = new Audio();
+  el.preload = 'auto';
+  applyRate(el);
+  return { audio: el, url: null, entry: null, fade: 1, ramp: null, rampTarget: 1, gain: 1 };
+}
+
+// Route both decks through the Web Audio gain stage. Deferred until playback
+// starts so the AudioContext is created inside a user gesture.
+function connectDecks() {
+  for (const d of decks) {
+    graph.connect(d.audio);
+    graph.setGain(d.audio, d.gain);
+  }
+  graph.resume();
+}
+
+// defaultPlaybackRate survives src changes, playbackRate applies right away
+function applyRate(el) {
+  el.defaultPlaybackRate = playbackRate;
+  el.playbackRate = playbackRate;
+  el.preservesPitch = true;
+  el.webkitPreservesPitch = true; // Safari < 17
+}
+
+function applyReplayGain(d) {
+  const track = d.entry && d.entry.album.tracks[d.entry.index];
+  d.gain = replayGainFactor(track?.replayGain, replayGainMode);
+  graph.setGain(d.audio, d.gain);
+}
+
+function standbyDeck() {
+  return deck === decks[0] ? decks[1] : decks[0];
+}
+
+function swapDecks() {
+  deck = standbyDeck();
+  audio = deck.audio;
+}
+
+/**
+ * Point a deck at an entry's file.
+ * @returns {string|null} failure reason (see failures.js), 'access' when
+ *   there are no files at all yet (restored session), null when loaded
+ */
+function loadDeck(d, entry) {
+  const track = entry.album.tracks[entry.index];
+  const file = fileMap.get(sourceOf(track));
+
+  if (!file && fileMap.size === 0) return 'access';
+  if (!file) {
+    console.warn(`[player] No file found for path: "${sourceOf(track)}" (fileMap has ${fileMap.size} entries)`);
+    return 'missing';
+  }
+
+  // Revoke previous blob URL
+  if (d.url) {
+    URL.revokeObjectURL(d.url);
+    d.url = null;
+  }
+  d.entry = null;
+
+  try {
+    d.url = URL.createObjectURL(file);
+  } catch (err) {
+    console.warn('[player] Could not create blob URL:', err.message);
+    return 'permission';
+  }
+
+  d.audio.src = d.url;
+  if (track.start) d.audio.currentTime = track.start; // buffer from the slice
+  d.entry = entry;
+  applyReplayGain(d);
+  return null;
+}
+
+/**
+ * Report an entry that can't be played and move on to the next one —
+ * unless there's nowhere to go or too many failed in a row. Without any
+ * files the track isn't at fault: stop on it and ask for access instead.
+ */
+function failEntry(entry, reason) {
+  if (reason === 'access') {
+    if (current !== entry) setCurrent(entry);
+    audio.pause();
+    emit('playstate-change', { playing: false });
+    emit('files-needed', { album: entry.album, track: entry.album.tracks[entry.index], index: entry.index });
+    return;
+  }
+
+  failureStreak++;
+  const gaveUp = failureStreak >= MAX_FAILURES;
+  if (current !== entry) setCurrent(entry);
+  emit('track-error', {
+    album: entry.album,
+    track: entry.album.tracks[entry.index],
+    index: entry.index,
+    reason,
+    gaveUp,
+  });
+
+  const upcoming = gaveUp ? null : neighbour(1);
+  if (!upcoming || upcoming === entry) {
+    failureStreak = 0;
+    audio.pause();
+    emit('playstate-change', { playing: false });
+    return;
+  }
+  playEntry(upcoming);
+}
+
+// MediaError code → failure reason. Reading a local file only fails "over the
+// network" when it went away or access to it was revoked.
+function errorReason(err) {
+  if (err?.code === 2) return 'permission';
+  if (err?.code === 4) return 'unsupported';
+  return 'decode';
+}
+
+/** Buffer the upcoming entry on the standby deck (no-op if already there) */
+function preloadNext() {
+  if (!(gaplessEnabled || crossfadeSeconds > 0) || !current || repeatMode === 'one') return;
+  if (deck.entry !== current) return; // restored but not loaded yet
+  const upcoming = neighbour(1);
+  const standby = standbyDeck();
+  if (!upcoming || upcoming === current || standby.entry === upcoming) return;
+  if (contiguous(current, upcoming)) return; // same file, it just plays on
+  // The standby deck may still be playing out the previous track's tail —
+  // its 'ended' handler calls back in here once it's free
+  if (!standby.audio.paused) return;
+  loadDeck(standby, upcoming);
+}
+
+// Called on every timeupdate of the audible deck. Crossfades start as soon as
+// the remaining time drops under the fade length. HTML media can't be started
+// on an exact sample, so for gapless joins the standby deck is started a few
+// ms early with a timer — far tighter than waiting for 'ended'.
+function scheduleHandoff() {
+  if (handoffTimer || loop?.b != null || repeatMode === 'one' || audio.paused || sleepEndsWithCurrent()) return;
+  const upcoming = neighbour(1);
+  if (!upcoming || standbyDeck().entry !== upcoming) return;
+
+  const remaining = (endOf(current) - audio.currentTime) / playbackRate;
+  if (!isFinite(remaining)) return;
+
+  const fade = crossfadeFor(current, upcoming);
+  if (fade > 0) {
+    if (remaining <= fade) handoff(remaining);
+    return;
+  }
+
+  if (!gaplessEnabled || remaining > HANDOFF_LOOKAHEAD) return;
+  handoffTimer = setTimeout(handoff, Math.max(0, remaining * 1000 - HANDOFF_LEAD_MS));
+}
+
+// Same-album neighbours are meant to run into each other — no fade when gapless
+function crossfadeFor(from, to) {
+  if (crossfadeSeconds <= 0) return 0;
+  if (gaplessEnabled && from.album === to.album && to.index === from.index + 1) return 0;
+  return crossfadeSeconds;
+}
+
+function skipFade() {
+  return Math.min(crossfadeSeconds, SKIP_FADE);
+}
+
+function cancelHandoff() {
+  clearTimeout(handoffTimer);
+  handoffTimer = null;
+}
+
+/**
+ * Start the standby deck and make it the audible one.
+ * @param {number} [fadeSeconds] — crossfade length, 0 for a straight gapless join
+ * @returns {boolean} false if the standby deck doesn't hold the next entry
+ */
+function handoff(fadeSeconds = 0) {
+  cancelHandoff();
+  const upcoming = neighbour(1);
+  const standby = standbyDeck();
+  if (!upcoming || standby.entry !== upcoming) return false;
+
+  const outgoing = deck;
+  swapDecks();
+  audio.currentTime = startOf(upcoming);
+  startDeck(fadeSeconds, outgoing);
+  // A slice that ends mid-file has no tail to play out
+  if (!fadeSeconds && outgoing.entry && trackOf(outgoing.entry).end != null) outgoing.audio.pause();
+  setCurrent(upcoming);
+  return true;
+}
+
+// --- Track window ---
+// A track normally spans its whole file; CUE tracks are a [start, end) slice
+// of a shared one. The public API speaks track time, the decks file time.
+
+function trackOf(entry) {
+  return entry.album.tracks[entry.index];
+}
+
+function sourceOf(track) {
+  return track.source || track.path;
+}
+
+function startOf(entry) {
+  return trackOf(entry).start || 0;
+}
+
+/** File time where the entry stops on the audible deck */
+function endOf(entry) {
+  return trackOf(entry).end ?? audio.duration;
+}
+
+/** Track time of the audible deck */
+function position() {
+  return audio.currentTime - startOf(deck.entry || current);
+}
+
+function trackDuration() {
+  return endOf(current) - startOf(current);
+}
+
+/** True if `to` is the slice of the same file that directly follows `from` */
+function contiguous(from, to) {
+  const a = trackOf(from);
+  const b = trackOf(to);
+  return !!a.source && a.source === b.source && a.end != null && Math.abs(a.end - (b.start || 0)) < 0.05;
+}
+
+// --- Chapters ---
+// Audiobooks (M4B, ID3 CHAP) carry chapter marks in track time; next/prev
+// walk them before moving to another track.
+
+let currentChapter = -1;
+
+function chaptersOf(entry) {
+  return trackOf(entry).chapters || null;
+}
+
+/** Index of the chapter playing at track time `t` (-1 before the first) */
+function chapterIndex(chapters, t) {
+  let index = -1;
+  chapters.forEach((c, i) => { if (c.start <= t + 0.05) index = i; });
+  return index;
+}
+
+function updateChapter(t) {
+  const chapters = chaptersOf(current);
+  const index = chapters ? chapterIndex(chapters, t) : -1;
+  if (index === currentChapter) return;
+  currentChapter = index;
+  emit('chapter-change', { index, chapter: chapters?.[index] ?? null });
+}
+
+// Slices ending mid-file are noticed on timeupdate rather than 'ended'
+function checkTrackEnd() {
+  if (deck.entry !== current) return;
+  const end = trackOf(current).end;
+  if (end != null && audio.currentTime >= end) trackEnded();
+}
+
+// Auto-advance (repeat-one replays; manual next() still advances)
+function trackEnded() {
+  if (enforceLoop()) return; // B sat at the very end
+  if (sleepEndsWithCurrent()) {
+    expireSleep();
+  } else if (repeatMode === 'one') {
+    audio.currentTime = startOf(current);
+    audio.play();
+  } else if (!handoff()) {
+    next();
+  }
+}
+
+// --- Fades ---
+// Element volume is driven from a timer rather than rAF so fades keep
+// running while the tab is in the background.
+
+function setFade(d, value) {
+  d.fade = value;
+  d.audio.volume = d.fade * sleepLevel;
+}
+
+function setSleepLevel(value) {
+  sleepLevel = value;
+  for (const d of decks) setFade(d, d.fade);
+}
+
+// --- Loop internals ---
+
+function setLoop(a, b) {
+  loop = a == null ? null : { a, b };
+  if (loop?.b != null) cancelHandoff(); // the track no longer ends by itself
+  emit('loop-change', { a: loop?.a ?? null, b: loop?.b ?? null });
+}
+
+/** Jump back to A once playback passes B; true if it did */
+function enforceLoop() {
+  if (loop?.b == null || deck.entry !== current) return false;
+  if (position() < loop.b && !audio.ended) return false;
+  audio.currentTime = startOf(current) + loop.a;
+  if (audio.paused) audio.play().catch(() => {});
+  return true;
+}
+
+// --- Sleep timer internals ---
+
+/** Seconds until the timer fires (Infinity while it can't be known yet) */
+function sleepRemaining() {
+  if (!sleep) return Infinity;
+  if (sleep.mode === 'minutes') return (sleep.deadline - Date.now()) / 1000;
+  if (!current) return Infinity;
+
+  const rate = playbackRate;
+  const loaded = deck.entry === current;
+  const trackLeft = loaded && isFinite(endOf(current))
+    ? (endOf(current) - audio.currentTime) / rate
+    : (parseDuration(current.album.tracks[current.index].dur) - resumeTime) / rate;
+  if (sleep.mode === 'track') return trackLeft;
+
+  // Album / queue: add the tagged durations of what's left in play order
+  const list = playOrder();
+  let total = trackLeft;
+  for (let i = list.indexOf(current) + 1; i < list.length; i++) {
+    if (sleep.mode === 'album' && list[i].album !== current.album) break;
+    total += parseDuration(list[i].album.tracks[list[i].index].dur) / rate;
+  }
+  return total;
+}
+
+/** True if the timer's stopping point is the end of the current track */
+function sleepEndsWithCurrent() {
+  if (!sleep || !current) return false;
+  if (sleep.mode === 'track') return true;
+  if (sleep.mode === 'minutes') return false;
+  const list = playOrder();
+  const next = list[list.indexOf(current) + 1];
+  if (sleep.mode === 'album') return !next || next.album !== current.album;
+  return !next;
+}
+
+function sleepTick() {
+  if (!sleep) return;
+  const remaining = sleepRemaining();
+  emit('sleep-timer', { mode: sleep.mode, remaining });
+
+  if (remaining <= 0) {
+    expireSleep();
+    return;
+  }
+  // Only fade while something is audible — a paused track-mode timer holds still
+  if (!audio.paused) setSleepLevel(Math.min(1, remaining / SLEEP_FADE));
+}
+
+function expireSleep() {
+  pause();
+  cancelSleepTimer();
+}
+
+/** Equal-power ramp of a deck's fade level; fading to 0 pauses the deck */
+function rampDeck(d, to, seconds) {
+  cancelRamp(d);
+  const from = d.fade;
+  const t0 = performance.now();
+  d.ramp = setInterval(() => {
+    const k = Math.min(1, (performance.now() - t0) / (seconds * 1000));
+    const curve = to > from ? Math.sin(k * Math.PI / 2) : Math.cos(k * Math.PI / 2);
+    setFade(d, to > from ? from + (to - from) * curve : to + (from - to) * curve);
+    if (k >= 1) finishRamp(d);
+  }, FADE_STEP_MS);
+  d.rampTarget = to;
+}
+
+function cancelRamp(d) {
+  clearInterval(d.ramp);
+  d.ramp = null;
+}
+
+/** Jump a running ramp to its end state */
+function finishRamp(d) {
+  if (!d.ramp) return;
+  cancelRamp(d);
+  setFade(d, d.rampTarget);
+  if (d.rampTarget === 0) {
+    d.audio.pause();
+    if (d !== deck) preloadNext(); // faded-out tail — the deck is free again
+  }
+}
 
 function emit(type, detail) {
   bus.dispatchEvent(new CustomEvent(type, { detail }));
 }
 
-// Auto-advance on track end
-audio.addEventListener('ended', () => {
-  next();
-});
+// --- Deck events (only the audible deck drives player state) ---
 
-// Forward play/pause state changes
-audio.addEventListener('play', () => emit('playstate-change', { playing: true }));
-audio.addEventListener('pause', () => emit('playstate-change', { playing: false }));
+for (const d of decks) {
+  const el = d.audio;
 
-// Throttled timeupdate
+  // Log audio errors for debugging (ignore empty src from unlock)
+  el.addEventListener('error', () => {
+    if (!el.src || el.src === location.href) return;
+    const err = el.error;
+    console.warn(`[player] Audio error: code=${err?.code} message="${err?.message}"`);
+    if (el !== audio) {
+      d.entry = null; // failed preload — next() will load it the slow way
+      return;
+    }
+    if (err?.code === 1 || !d.entry) return; // aborted by us
+    failEntry(d.entry, errorReason(err));
+  });
+
+  el.addEventListener('ended', () => {
+    if (el !== audio) {
+      // A retired deck finished its tail — free to buffer the next track
+      preloadNext();
+      return;
+    }
+    trackEnded();
+  });
+
+  // Actually producing sound — the failure streak is over
+  el.addEventListener('playing', () => {
+    if (el === audio) failureStreak = 0;
+  });
+
+  // Forward play/pause state changes
+  el.addEventListener('play', () => {
+    if (el === audio) emit('playstate-change', { playing: true });
+  });
+  el.addEventListener('pause', () => {
+    if (el !== audio) return;
+    cancelHandoff();
+    emit('playstate-change', { playing: false });
+  });
+
+  // A seek invalidates any pending boundary timer
+  el.addEventListener('seeking', () => {
+    if (el === audio) cancelHandoff();
+  });
+
+  el.addEventListener('timeupdate', () => {
+    if (el !== audio) return;
+    enforceLoop();
+    checkTrackEnd();
+    scheduleHandoff();
+    updatePositionState();
+    emitTime();
+  });
+
+  // Keep the lock-screen scrubber in step with jumps, speed and new media
+  for (const type of ['loadedmetadata', 'seeked', 'ratechange']) {
+    el.addEventListener(type, () => {
+      if (el === audio) updatePositionState();
+    });
+  }
+}
+
+// Background tabs throttle intervals — catch up as soon as we're visible again
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'visible') sleepTick();
+});
+
+// Throttled timeupdate (`force` for seeks, so the UI follows immediately)
 let lastTimeEmit = 0;
-audio.addEventListener('timeupdate', () => {
+function emitTime(force = false) {
   const now = performance.now();
-  if (now - lastTimeEmit < 250) return;
+  if (!force && now - lastTimeEmit < 250) return;
   lastTimeEmit = now;
+  // `remaining` is wall-clock seconds at the current speed
+  if (deck.entry !== current) return;
+  const currentTime = position();
+  const duration = trackDuration();
+  updateChapter(currentTime);
   emit('timeupdate', {
-    currentTime: audio.currentTime,
-    duration: audio.duration,
+    currentTime,
+    duration,
+    rate: playbackRate,
+    remaining: (duration - currentTime) / playbackRate,
   });
-});
+}
 
 // --- Media Session API ---
 
+const SEEK_STEP = 10; // seconds, when the OS doesn't say how far
+
 function updateMediaSession(album, track) {
   if (!('mediaSession' in navigator)) return;
 
-  const artwork = [];
-  if (album.cover && (album.cover.startsWith('https://') || album.cover.startsWith('data:'))) {
-    artwork.push({ src: album.cover, sizes: '512x512', type: 'image/jpeg' });
-  }
-
-  navigator.mediaSession.metadata = new MediaMetadata({
+  const metadata = new MediaMetadata({
     title: track.title,
-    artist: album.artist,
+    artist: track.artist || album.artist,
     album: album.title,
-    artwork,
   });
+  navigator.mediaSession.metadata = metadata;
+
+  // Artwork is rendered asynchronously; attach it unless the track moved on
+  artworkFor(album.cover).then((artwork) => {
+    if (navigator.mediaSession.metadata !== metadata || !artwork.length) return;
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: metadata.title,
+      artist: metadata.artist,
+      album: metadata.album,
+      artwork,
+    });
+  });
+}
+
+// Position and duration are media time; the OS extrapolates with the rate
+function updatePositionState() {
+  if (!('mediaSession' in navigator) || !navigator.mediaSession.setPositionState) return;
+  if (!current || deck.entry !== current) return;
+  const duration = trackDuration();
+  if (!isFinite(duration)) return;
+  try {
+    navigator.mediaSession.setPositionState({
+      duration,
+      playbackRate: audio.playbackRate,
+      position: Math.max(0, Math.min(position(), duration)),
+    });
+  } catch { /* position past duration while metadata settles */ }
+}
+
+// Some browsers throw on actions they don't implement
+function setMediaAction(action, handler) {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch { /* unsupported action */ }
+}
+
+// Lock-screen prev/next follow shuffle + repeat: hide them when there is
+// nowhere to go, and let repeat-one still skip like the player bar does
+function updateMediaActions() {
+  if (!('mediaSession' in navigator)) return;
+  setMediaAction('previoustrack', current ? async () => { if (await filesGuard()) prev(); } : null);
+  setMediaAction('nexttrack', neighbour(1) || (current && chaptersOf(current))
+    ? async () => { if (await filesGuard()) next(); }
+    : null);
 }
 
 if ('mediaSession' in navigator) {
-  navigator.mediaSession.setActionHandler('play', () => play());
-  navigator.mediaSession.setActionHandler('pause', () => pause());
-  navigator.mediaSession.setActionHandler('previoustrack', () => prev());
-  navigator.mediaSession.setActionHandler('nexttrack', () => next());
-  navigator.mediaSession.setActionHandler('seekto', (details) => {
-    audio.currentTime = details.seekTime;
+  setMediaAction('play', async () => {
+    if (await filesGuard()) play();
+  });
+  setMediaAction('pause', () => pause());
+  setMediaAction('stop', () => {
+    pause();
+    seekTo(0);
+  });
+  setMediaAction('seekto', (details) => {
+    if (current) seek(details.seekTime / trackDuration());
+  });
+  setMediaAction('seekbackward', (details) => {
+    seekTo(getState().currentTime - (details.seekOffset || SEEK_STEP));
+  });
+  setMediaAction('seekforward', (details) => {
+    seekTo(getState().currentTime + (details.seekOffset || SEEK_STEP));
   });
+  updateMediaActions();
 }
@@ -0,0 +1,50 @@
+// ReplayGain — tag mapping shared by the parsers, gain math for the player
+// Pure functions, no DOM dependency
+
+export const GAIN_MODES = ['off', 'track', 'album'];
+
+const KEYS = {
+  REPLAYGAIN_TRACK_GAIN: 'trackGain',
+  REPLAYGAIN_ALBUM_GAIN: 'albumGain',
+  REPLAYGAIN_TRACK_PEAK: 'trackPeak',
+  REPLAYGAIN_ALBUM_PEAK: 'albumPeak',
+};
+
+/**
+ * Record a REPLAYGAIN_* tag on a parser result.
+ * Values look like "-6.54 dB" (gains) or "0.988312" (peaks).
+ * @param {Object} result — parser result; gets a `replayGain` object on first hit
+ * @param {string} key — tag name, any case (Vorbis key, TXXX description, iTunes name)
+ * @param {string} value
+ * @returns {boolean} true if the key was a ReplayGain tag
+ */
+export function applyReplayGainTag(result, key, value) {
+  const field = KEYS[key.toUpperCase()];
+  if (!field) return false;
+  const n = parseFloat(value);
+  if (!isFinite(n)) return true;
+  if (!result.replayGain) result.replayGain = {};
+  result.replayGain[field] = n;
+  return true;
+}
+
+/**
+ * Linear gain to apply for a track.
+ * Falls back to the other gain kind when the preferred one is missing, and
+ * caps the gain so the matching peak never exceeds full scale.
+ * @param {{ trackGain?, albumGain?, trackPeak?, albumPeak? }|null} rg
+ * @param {'off'|'track'|'album'} mode
+ * @returns {number} linear multiplier (1 = unchanged)
+ */
+export function replayGainFactor(rg, mode) {
+  if (!rg || mode === 'off') return 1;
+
+  const album = mode === 'album';
+  const db = album ? (rg.albumGain ?? rg.trackGain) : (rg.trackGain ?? rg.albumGain);
+  if (db == null) return 1;
+
+  const peak = album ? (rg.albumPeak ?? rg.trackPeak) : (rg.trackPeak ?? rg.albumPeak);
+  let factor = Math.pow(10, db / 20);
+  if (peak > 0 && peak * factor > 1) factor = 1 / peak;
+  return factor;
+}
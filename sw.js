@@ -1,4 +1,4 @@
-const CACHE_NAME = 'proto-player-v13';
+const CACHE_NAME = 'proto-player-v24';
 
 const APP_SHELL = [
   './',
@@ -12,11 +12,27 @@ const APP_SHELL = [
   'src/components/album-detail.js',
   'src/components/player-bar.js',
   'src/components/ring-carousel.js',
+  'src/components/settings-panel.js',
+  'src/components/eq-panel.js',
+  'src/components/spectrum-visualizer.js',
   'src/utils/player.js',
+  'src/utils/audio-graph.js',
+  'src/utils/replaygain.js',
+  'src/utils/failures.js',
+  'src/utils/eq-presets.js',
+  'src/utils/artwork.js',
   'src/utils/db.js',
   'src/utils/file-loader.js',
   'src/utils/id3-parser.js',
+  'src/utils/id3-genres.js',
   'src/utils/metadata.js',
+  'src/utils/duration.js',
+  'src/utils/fingerprint.js',
+  'src/utils/ids.js',
+  'src/utils/parse-file.js',
+  'src/utils/parse-pool.js',
+  'src/utils/parse-worker.js',
+  'src/utils/cue-parser.js',
   'src/utils/palette.js',
   'src/utils/ring-math.js',
 ];